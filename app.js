@@ -4,33 +4,132 @@ require('dotenv').config({ path: dotenv })
 const express = require('express')
 const bodyParser = require('body-parser')
 const swaggerUi = require('swagger-ui-express')
-const connectDB = require('./config/database')
+const { connectDB, disconnectDB } = require('./config/database')
+const requestId = require('./middleware/requestId')
+const routePattern = require('./middleware/routePattern')
+const accessLog = require('./middleware/accessLog')
+const metrics = require('./middleware/metrics')
+const requireDatabase = require('./middleware/requireDatabase')
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler')
+const { registerJob, startScheduler, stopScheduler } = require('./services/scheduler')
+const { closeLiveStreams } = require('./services/liveStream')
+const { evaluateNoData } = require('./services/alerts')
+const { deliverPending } = require('./services/webhooks')
+const { applyRetention } = require('./services/retention')
+const { logger } = require('./services/logger')
 
 // Import routes
+const healthRoutes = require('./routes/health')
+const metricsRoutes = require('./routes/metrics')
 const authRoutes = require('./routes/auth')
 const stationRoutes = require('./routes/station')
 const measurementRoutes = require('./routes/measurement')
+const userRoutes = require('./routes/user')
+const auditRoutes = require('./routes/audit')
+const alertRuleRoutes = require('./routes/alertRule')
+const alertRoutes = require('./routes/alert')
 
 // Import Swagger docs
 const swaggerSpec = require('./swagger/swagger')
 
 const app = express()
 
+// Behind a reverse proxy, TRUST_PROXY makes req.ip the client address used
+// by the login throttling: a number of hops, true, or a list of addresses
+const parseTrustProxy = (value) => {
+  if (/^\d+$/.test(value)) return Number(value)
+  if (value === 'true' || value === 'false') return value === 'true'
+  return value
+}
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY))
+
 // Middleware
+app.use(requestId)
+app.use(routePattern)
+app.use(accessLog)
+app.use(metrics)
+
+// Bulk ingestion takes larger bodies, also as NDJSON or CSV
+const bulkLimit = process.env.BULK_BODY_LIMIT || '10mb'
+app.use('/measurements/bulk',
+  bodyParser.json({ limit: bulkLimit }),
+  bodyParser.text({ type: ['application/x-ndjson', 'text/csv'], limit: bulkLimit })
+)
 app.use(bodyParser.json())
 
-// Connect to MongoDB
-connectDB()
+// Health checks and metrics answer without the database
+app.use(healthRoutes)
+app.use(metricsRoutes)
+
+// Swagger documentation
+app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec))
 
 // Routes
+app.use(requireDatabase)
 app.use('/auth', authRoutes)
 app.use('/stations', stationRoutes)
 app.use('/measurements', measurementRoutes)
+app.use('/users', userRoutes)
+app.use('/audit', auditRoutes)
+app.use('/alert-rules', alertRuleRoutes)
+app.use('/alerts', alertRoutes)
 
-// Swagger documentation
-app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec))
+// Background jobs, an interval of 0 disables a job
+registerJob('alerts:no-data', Number(process.env.ALERT_CHECK_INTERVAL_MS ?? 60000), () => evaluateNoData())
+registerJob('alerts:webhooks', Number(process.env.WEBHOOK_INTERVAL_MS ?? 15000), deliverPending)
+registerJob('retention', Number(process.env.RETENTION_INTERVAL_MS ?? 3600000), () => applyRetention())
+
+// Errors, always answered with the same envelope
+app.use(notFoundHandler)
+app.use(errorHandler)
 
 const PORT = process.env.PORT || 3000
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`)
-}) 
\ No newline at end of file
+const server = app.listen(PORT, () => {
+  logger.info('Server running', { port: Number(PORT) })
+})
+
+// Connect to MongoDB, retrying until it is reachable. Jobs start once
+// connected, /ready reports the progress meanwhile.
+connectDB()
+  .then(() => {
+    if (!app.locals.shuttingDown) startScheduler()
+  })
+  .catch((err) => {
+    if (app.locals.shuttingDown) return
+    logger.error('Error connecting to MongoDB', { err })
+    process.exit(1)
+  })
+
+// Graceful shutdown: stop taking connections, let in-flight requests and
+// jobs finish, then close the MongoDB pool. Connections still open after
+// SHUTDOWN_TIMEOUT_MS are cut.
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS ?? 10000)
+
+const shutdown = async (signal) => {
+  if (app.locals.shuttingDown) return
+  app.locals.shuttingDown = true
+  logger.info('Shutting down', { signal })
+
+  const forceClose = setTimeout(() => {
+    logger.warn('Requests still running after the shutdown timeout, closing their connections')
+    server.closeAllConnections()
+  }, SHUTDOWN_TIMEOUT_MS)
+  forceClose.unref()
+
+  try {
+    const serverClosed = new Promise((resolve) => server.close(resolve))
+    closeLiveStreams()
+    server.closeIdleConnections()
+    await Promise.all([serverClosed, stopScheduler()])
+    clearTimeout(forceClose)
+    await disconnectDB()
+    logger.info('Shutdown complete')
+    process.exit(0)
+  } catch (err) {
+    logger.error('Error during shutdown', { err })
+    process.exit(1)
+  }
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
@@ -1,16 +1,86 @@
 const mongoose = require('mongoose')
+const { observeMongoCommands } = require('../services/metrics')
+const { logger } = require('../services/logger')
 
-const connectDB = async () => {
+// Retry the first connection with exponential backoff, from
+// DB_RETRY_INITIAL_MS up to DB_RETRY_MAX_MS between attempts. After that the
+// driver reconnects on its own.
+const RETRY_INITIAL_MS = Number(process.env.DB_RETRY_INITIAL_MS) || 1000
+const RETRY_MAX_MS = Number(process.env.DB_RETRY_MAX_MS) || 30000
+// How long one attempt waits for a server
+const SERVER_SELECTION_TIMEOUT_MS = Number(process.env.DB_SERVER_SELECTION_TIMEOUT_MS) || 10000
+
+let connectedOnce = false
+let indexesBuilt = false
+let closing = false
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms))
+
+// Failed attempts of the first connection are logged by connectDB()
+mongoose.connection.on('disconnected', () => {
+  if (connectedOnce && !closing) logger.warn('MongoDB disconnected, reconnecting')
+})
+mongoose.connection.on('reconnected', () => logger.info('Reconnected to MongoDB'))
+mongoose.connection.on('error', (err) => {
+  if (connectedOnce && !closing) logger.error('MongoDB connection error', { err })
+})
+
+// Build the indexes of every model, the API is not ready before that. A
+// failed build keeps /ready failing instead of stopping the process.
+const buildIndexes = async () => {
   try {
-    await mongoose.connect(process.env.MONGO_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    })
-    console.log('Connected to MongoDB')
+    await Promise.all(mongoose.modelNames().map((name) => mongoose.model(name).init()))
+    indexesBuilt = true
   } catch (err) {
-    console.error('Error connecting to MongoDB:', err)
-    process.exit(1)
+    logger.error('Error building MongoDB indexes', { err })
   }
 }
 
-module.exports = connectDB 
\ No newline at end of file
+// Connect to MongoDB, retrying until it succeeds. Only a missing MONGO_URI
+// fails right away.
+const connectDB = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not set')
+  }
+
+  for (let attempt = 1, delay = RETRY_INITIAL_MS; ; attempt++, delay = Math.min(delay * 2, RETRY_MAX_MS)) {
+    if (closing) throw new Error('Connection closed before MongoDB was reachable')
+    try {
+      // Command events feed the query timings of /metrics
+      await mongoose.connect(process.env.MONGO_URI, {
+        serverSelectionTimeoutMS: SERVER_SELECTION_TIMEOUT_MS,
+        monitorCommands: true,
+      })
+      connectedOnce = true
+      logger.info('Connected to MongoDB')
+      break
+    } catch (err) {
+      if (closing) throw err
+      logger.warn('Error connecting to MongoDB, retrying', { attempt, retryInMs: delay, error: err.message })
+      await sleep(delay)
+    }
+  }
+
+  observeMongoCommands(mongoose.connection.getClient())
+  await buildIndexes()
+}
+
+const disconnectDB = async () => {
+  closing = true
+  await mongoose.connection.close()
+}
+
+const isConnected = () => mongoose.connection.readyState === 1
+
+// State reported by the readiness check
+const databaseStatus = () => ({
+  connected: isConnected(),
+  indexesBuilt
+})
+
+module.exports = {
+  connectDB,
+  disconnectDB,
+  isConnected,
+  databaseStatus
+}
@@ -0,0 +1,66 @@
+// Roles known to the API. 'user' is the legacy default role and is
+// treated as read-only, same as 'viewer'.
+const ROLES = ['admin', 'operator', 'viewer', 'user']
+
+// Pseudo-role of requests authenticated with a station API key
+const DEVICE_ROLE = 'device'
+
+// Which roles may perform each action on each resource
+const PERMISSIONS = {
+  stations: {
+    read:   ['admin', 'operator', 'viewer', 'user'],
+    create: ['admin'],
+    update: ['admin'],
+    delete: ['admin'],
+    status: ['admin', 'operator'],
+  },
+  maintenance: {
+    read:   ['admin', 'operator', 'viewer', 'user'],
+    create: ['admin', 'operator'],
+    update: ['admin', 'operator'],
+    delete: ['admin'],
+  },
+  measurements: {
+    read:   ['admin', 'operator', 'viewer', 'user'],
+    create: ['admin', 'operator', DEVICE_ROLE],
+    update: ['admin'],
+    delete: ['admin'],
+    flag:   ['admin', 'operator'],
+  },
+  apiKeys: {
+    read:   ['admin'],
+    create: ['admin'],
+    delete: ['admin'],
+  },
+  alertRules: {
+    read:   ['admin', 'operator', 'viewer', 'user'],
+    create: ['admin', 'operator'],
+    update: ['admin', 'operator'],
+    delete: ['admin', 'operator'],
+  },
+  alerts: {
+    read:   ['admin', 'operator', 'viewer', 'user'],
+    update: ['admin', 'operator'],
+  },
+  audit: {
+    read:   ['admin'],
+  },
+  users: {
+    read:   ['admin'],
+    create: ['admin'],
+    update: ['admin'],
+    delete: ['admin'],
+  },
+}
+
+const can = (role, resource, action) => {
+  const allowed = PERMISSIONS[resource] && PERMISSIONS[resource][action]
+  return Boolean(allowed && allowed.includes(role))
+}
+
+module.exports = {
+  ROLES,
+  DEVICE_ROLE,
+  PERMISSIONS,
+  can
+}
@@ -0,0 +1,18 @@
+// Raw measurements are kept for RAW_RETENTION_DAYS, then rolled up into
+// hourly and daily aggregates and deleted. 0 (the default) keeps them forever.
+const RAW_RETENTION_DAYS = Number(process.env.RAW_RETENTION_DAYS) || 0
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// Start of the oldest UTC day still kept raw, null when nothing expires
+const rawCutoff = (now = new Date()) => {
+  if (!RAW_RETENTION_DAYS) return null
+  const today = Math.floor(now.getTime() / DAY_MS) * DAY_MS
+  return new Date(today - RAW_RETENTION_DAYS * DAY_MS)
+}
+
+module.exports = {
+  RAW_RETENTION_DAYS,
+  DAY_MS,
+  rawCutoff
+}
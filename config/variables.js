@@ -0,0 +1,29 @@
+// Registry of the variables a station can measure and the unit each one
+// is stored in. `qc` holds the limits of the automatic quality checks:
+// - min / max: physically possible range
+// - step: largest believable change from the previous reading
+// - spike: largest believable distance from the median of recent readings
+// Variables that legitimately jump (rain, sunshine behind clouds) or wrap
+// around (wind direction) have no step and spike limits.
+const VARIABLES = {
+  temperature:     { unit: '°C',    description: 'Air temperature', qc: { min: -90, max: 60, step: 10, spike: 8 } },
+  humidity:        { unit: '%',     description: 'Relative humidity', qc: { min: 0, max: 100, step: 40, spike: 30 } },
+  pressure:        { unit: 'hPa',   description: 'Atmospheric pressure', qc: { min: 300, max: 1100, step: 10, spike: 8 } },
+  rainfall:        { unit: 'mm',    description: 'Accumulated precipitation', qc: { min: 0, max: 500 } },
+  wind_speed:      { unit: 'm/s',   description: 'Wind speed', qc: { min: 0, max: 75, step: 25, spike: 20 } },
+  wind_direction:  { unit: '°',     description: 'Wind direction, clockwise from north', qc: { min: 0, max: 360 } },
+  solar_radiation: { unit: 'W/m²',  description: 'Global solar radiation', qc: { min: 0, max: 1500 } },
+}
+
+const VARIABLE_NAMES = Object.keys(VARIABLES)
+
+const isVariable = (name) => Object.prototype.hasOwnProperty.call(VARIABLES, name)
+
+const unitFor = (name) => isVariable(name) ? VARIABLES[name].unit : undefined
+
+module.exports = {
+  VARIABLES,
+  VARIABLE_NAMES,
+  isVariable,
+  unitFor
+}
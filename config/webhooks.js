@@ -0,0 +1,77 @@
+const net = require('net')
+
+// Hosts alert webhooks may call. With WEBHOOK_ALLOWED_HOSTS (comma separated
+// host names or addresses) only those hosts are allowed. Without it any
+// public host is, but never loopback, private, link-local or other reserved
+// addresses, so rules cannot make the server call internal services.
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean)
+
+const RESERVED = new net.BlockList()
+for (const [address, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+]) {
+  RESERVED.addSubnet(address, prefix, 'ipv4')
+}
+for (const [address, prefix] of [
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+]) {
+  RESERVED.addSubnet(address, prefix, 'ipv6')
+}
+
+// Whether an IP address is not on the public internet
+const isReservedAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+  if (mapped) address = mapped[1]
+  const family = net.isIP(address)
+  if (!family) return false
+  return RESERVED.check(address, family === 4 ? 'ipv4' : 'ipv6')
+}
+
+// Host name of a URL without the brackets of IPv6 literals
+const hostOf = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase()
+
+const isAllowedHost = (host) => ALLOWED_HOSTS.includes(host)
+
+// Reason a webhook URL is refused, null when it may be called. Host names
+// are checked again against their addresses when a webhook is sent.
+const webhookUrlError = (value) => {
+  let url
+  try {
+    url = new URL(value)
+  } catch {
+    return `Invalid webhook URL: ${value}`
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return `Invalid webhook URL: ${value}`
+
+  const host = hostOf(url)
+  if (ALLOWED_HOSTS.length) {
+    return isAllowedHost(host) ? null : `Webhook host is not allowed: ${host}`
+  }
+  if (host === 'localhost' || host.endsWith('.localhost') || isReservedAddress(host)) {
+    return `Webhook host is not allowed: ${host}`
+  }
+  return null
+}
+
+module.exports = {
+  ALLOWED_HOSTS,
+  isReservedAddress,
+  isAllowedHost,
+  webhookUrlError
+}
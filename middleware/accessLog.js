@@ -0,0 +1,43 @@
+const { logger, redactUrl } = require('../services/logger')
+
+// One log entry per request once the response is sent, or when the client
+// went away first. Server errors are logged as errors, client errors as
+// warnings. At debug level the query and body are added, with passwords and
+// tokens redacted.
+const accessLog = (req, res, next) => {
+  const start = process.hrtime.bigint()
+
+  const log = () => {
+    const status = res.writableFinished ? res.statusCode : null
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      route: req.routePattern,
+      status,
+      latencyMs: Math.round(Number(process.hrtime.bigint() - start) / 1e4) / 100,
+      userId: req.user ? String(req.user._id) : null,
+      apiKeyId: req.apiKey ? String(req.apiKey._id) : null,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    }
+    if (logger.isLevelEnabled('debug')) {
+      fields.query = req.query
+      fields.body = req.body
+    }
+
+    const msg = status === null ? 'request aborted' : 'request'
+    if (status >= 500) {
+      logger.error(msg, fields)
+    } else if (status >= 400) {
+      logger.warn(msg, fields)
+    } else {
+      logger.info(msg, fields)
+    }
+  }
+
+  res.on('close', log)
+  next()
+}
+
+module.exports = accessLog
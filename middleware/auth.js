@@ -1,34 +1,198 @@
+const crypto = require('crypto')
 const jwt = require('jsonwebtoken')
 const User = require('../models/user')
+const Session = require('../models/session')
+const ApiKey = require('../models/apiKey')
+const { can, DEVICE_ROLE } = require('../config/permissions')
+const { unauthorized, forbidden } = require('../services/errors')
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
 
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization']
     const token = authHeader && authHeader.split(' ')[1]
-    
+
     if (!token) {
-      return res.status(401).json({ error: 'Access token required' })
+      return next(unauthorized('Access token required'))
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    const session = decoded.sid && await Session.findById(decoded.sid)
+
+    if (!session || session.revokedAt || !session.user_id.equals(decoded.userId)) {
+      return next(unauthorized('Session revoked'))
+    }
+
     const user = await User.findById(decoded.userId)
-    
+
     if (!user) {
-      return res.status(401).json({ error: 'User not found' })
+      return next(unauthorized('User not found'))
+    }
+
+    if (user.disabled) {
+      return next(unauthorized('User is disabled'))
     }
 
     req.user = user
+    req.authSession = session
+    next()
+  } catch (error) {
+    return next(unauthorized('Invalid token'))
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+// Authenticate a station device by its X-API-Key header
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const key = req.headers['x-api-key']
+
+    if (!key) {
+      return next(unauthorized('API key required'))
+    }
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(key), revokedAt: null })
+
+    if (!apiKey) {
+      return next(unauthorized('Invalid API key'))
+    }
+
+    apiKey.lastUsedAt = new Date()
+    await apiKey.save()
+
+    req.apiKey = apiKey
     next()
   } catch (error) {
-    return res.status(401).json({ error: 'Invalid token' })
+    return next(unauthorized('Invalid API key'))
+  }
+}
+
+// EventSource cannot set headers, so streaming endpoints also accept the
+// access token as ?access_token=
+const acceptQueryToken = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`
+  }
+  next()
+}
+
+// Accept either a user access token or a device API key
+const authenticateTokenOrApiKey = (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return authenticateApiKey(req, res, next)
+  }
+  return authenticateToken(req, res, next)
+}
+
+// Restrict a route to the roles allowed to perform `action` on `resource`.
+// Must run after authenticateToken or authenticateApiKey.
+const authorize = (resource, action) => (req, res, next) => {
+  const role = req.user ? req.user.role : req.apiKey && DEVICE_ROLE
+  if (!role || !can(role, resource, action)) {
+    return next(forbidden())
+  }
+  next()
+}
+
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN })
+}
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+// Start a new session for the user and return its token pair
+const createSession = async (userId) => {
+  const refreshToken = crypto.randomBytes(48).toString('hex')
+  const session = await Session.create({
+    user_id: userId,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+  })
+
+  return { token: generateToken(userId, session._id), refreshToken }
+}
+
+// Rotated token hashes kept per session, the oldest are dropped beyond it
+const MAX_USED_TOKENS = 1000
+
+// Exchange a refresh token for a new token pair. The token is swapped in one
+// atomic update, so of two concurrent refreshes with the same token only one
+// succeeds. Presenting an already rotated token means it leaked, so the
+// whole session is revoked. Resolves to null when the token cannot be used.
+const rotateSession = async (refreshToken) => {
+  const hash = hashToken(refreshToken)
+  const now = new Date()
+  const nextToken = crypto.randomBytes(48).toString('hex')
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { refreshTokenHash: hashToken(nextToken), expiresAt: refreshExpiry() },
+      $push: { usedTokenHashes: { $each: [hash], $slice: -MAX_USED_TOKENS } },
+    },
+    { new: true }
+  )
+
+  if (!session) {
+    await Session.updateOne(
+      { usedTokenHashes: hash, revokedAt: null },
+      { revokedAt: now }
+    )
+    return null
   }
+
+  const user = await User.findById(session.user_id)
+  if (!user || user.disabled) {
+    await Session.updateOne({ _id: session._id }, { revokedAt: now })
+    return null
+  }
+
+  return { token: generateToken(user._id, session._id), refreshToken: nextToken, userId: user._id }
 }
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '24h' })
+// Revoke the session a refresh token belongs to. Resolves to false when
+// no active session matches.
+const revokeSession = async (refreshToken) => {
+  const result = await Session.updateOne(
+    { refreshTokenHash: hashToken(refreshToken), revokedAt: null },
+    { revokedAt: new Date() }
+  )
+  return result.modifiedCount > 0
+}
+
+// Revoke every active session of a user, optionally keeping one of them.
+// Returns how many were revoked.
+const revokeUserSessions = async (userId, exceptSessionId) => {
+  const filter = { user_id: userId, revokedAt: null }
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId }
+
+  const result = await Session.updateMany(
+    filter,
+    { revokedAt: new Date() }
+  )
+  return result.modifiedCount
+}
+
+// Create a new random API key. Only the returned hash and prefix are
+// meant to be stored, the key itself is shown to the admin once.
+const generateApiKey = () => {
+  const key = `msk_${crypto.randomBytes(32).toString('hex')}`
+  return { key, prefix: key.slice(0, 12), keyHash: hashToken(key) }
 }
 
 module.exports = {
   authenticateToken,
-  generateToken
-} 
\ No newline at end of file
+  authenticateApiKey,
+  authenticateTokenOrApiKey,
+  acceptQueryToken,
+  authorize,
+  generateToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  generateApiKey
+}
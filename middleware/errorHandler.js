@@ -0,0 +1,90 @@
+const { HttpError, notFound } = require('../services/errors')
+const { mongooseErrorDetails } = require('../services/validation')
+const { logger } = require('../services/logger')
+
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  422: 'validation_failed',
+  423: 'account_locked',
+  429: 'too_many_requests',
+  503: 'service_unavailable',
+}
+
+// Status, code, message and details for an error thrown anywhere in a request
+const describe = (error, req) => {
+  if (error instanceof HttpError) return error
+
+  if (error.name === 'CastError') {
+    return {
+      status: 400,
+      code: error.kind === 'ObjectId' ? 'invalid_id' : 'invalid_value',
+      message: `Invalid ${error.path}`,
+      details: mongooseErrorDetails(error, ''),
+    }
+  }
+  if (error.name === 'ValidationError' && error.errors) {
+    return { status: 422, code: 'validation_failed', message: 'Validation failed', details: mongooseErrorDetails(error) }
+  }
+  // Saved over a concurrent change, see optimisticConcurrency in the models.
+  // With If-Match the client asked for exactly that check.
+  if (error.name === 'VersionError') {
+    if (req.get('If-Match')) {
+      return { status: 412, code: 'precondition_failed', message: 'The resource has changed since the ETag in If-Match, reload it and try again' }
+    }
+    return { status: 409, code: 'conflict', message: 'The resource was changed by another request, reload it and try again' }
+  }
+  if (error.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {})
+    return {
+      status: 409,
+      code: 'duplicate_key',
+      message: fields.length ? `Another document has the same ${fields.join(', ')}` : 'Duplicate key',
+      details: fields.map((field) => ({ field: `body.${field}`, message: 'must be unique' })),
+    }
+  }
+  // Errors of body-parser and other http-errors based middleware
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    const message = error.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : error.message
+    return { status: error.status, code: STATUS_CODES[error.status] || 'bad_request', message }
+  }
+
+  return { status: 500, code: 'internal_error', message: error.message }
+}
+
+// Answer every failed request with the same envelope:
+// { code, message, details, requestId }. Messages of unexpected errors stay
+// in the logs in production.
+const errorHandler = (error, req, res, next) => {
+  // Streaming responses can only be cut off
+  if (res.headersSent) return next(error)
+
+  const { status, code, message, details } = describe(error, req)
+  if (status >= 500 && !(error instanceof HttpError)) {
+    logger.error('Error handling request', { requestId: req.id, method: req.method, route: req.routePattern, err: error })
+  }
+
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter))
+  res.status(status).json({
+    code,
+    message: status >= 500 && process.env.NODE_ENV === 'production' ? 'Internal server error' : message,
+    details: details || null,
+    requestId: req.id,
+  })
+}
+
+// Requests no route matched
+const notFoundHandler = (req, res, next) => {
+  next(notFound(`Cannot ${req.method} ${req.path}`))
+}
+
+module.exports = {
+  errorHandler,
+  notFoundHandler
+}
@@ -0,0 +1,81 @@
+const crypto = require('crypto')
+const IdempotencyKey = require('../models/idempotencyKey')
+const { badRequest, conflict } = require('../services/errors')
+const { logger } = require('../services/logger')
+
+// How long a key is remembered, IDEMPOTENCY_TTL_HOURS
+const TTL_MS = (Number(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/
+
+const requestHash = (req) => crypto.createHash('sha256')
+  .update(JSON.stringify([req.method, req.baseUrl + req.path, req.body]))
+  .digest('hex')
+
+// Claim the key for this request. Resolves to null when it is new, or to
+// the stored record of an earlier request with the same key.
+const claim = async (owner, key, hash) => {
+  const now = new Date()
+  try {
+    await IdempotencyKey.create({ owner, key, requestHash: hash, expiresAt: new Date(now.getTime() + TTL_MS) })
+    return null
+  } catch (error) {
+    if (error.code !== 11000) throw error
+  }
+
+  const existing = await IdempotencyKey.findOne({ owner, key }).lean()
+  // Gone since, its request failed, or expired and the TTL monitor has not
+  // removed it yet: try again
+  if (!existing || existing.expiresAt <= now) {
+    if (existing) await IdempotencyKey.deleteOne({ _id: existing._id, expiresAt: existing.expiresAt })
+    return claim(owner, key, hash)
+  }
+  return existing
+}
+
+// Make a POST safe to retry: with an Idempotency-Key header the first
+// response is stored, and a retry with the same key and body gets it again,
+// with Idempotent-Replayed: true, instead of running again. The same key
+// with another body, or while the first request still runs, is a 409.
+// Server errors are not stored, so those requests can be retried. Must run
+// after authentication.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key')
+  if (key === undefined) return next()
+  if (!KEY_PATTERN.test(key)) {
+    throw badRequest('Idempotency-Key must be 1 to 255 visible ASCII characters')
+  }
+
+  const owner = req.apiKey ? `apiKey:${req.apiKey._id}` : `user:${req.user._id}`
+  const hash = requestHash(req)
+  const existing = await claim(owner, key, hash)
+
+  if (existing) {
+    if (existing.requestHash !== hash) {
+      throw conflict('Idempotency-Key was already used for a different request')
+    }
+    if (!existing.completed) {
+      throw conflict('A request with this Idempotency-Key is still being processed')
+    }
+    res.set('Idempotent-Replayed', 'true')
+    return res.status(existing.status).json(existing.response)
+  }
+
+  let response
+  const json = res.json.bind(res)
+  res.json = (body) => {
+    // Stored as sent, documents through their toJSON
+    response = JSON.parse(JSON.stringify(body))
+    return json(body)
+  }
+
+  res.on('close', () => {
+    const stored = res.writableFinished && res.statusCode < 500
+    const done = stored
+      ? IdempotencyKey.updateOne({ owner, key }, { completed: true, status: res.statusCode, response })
+      : IdempotencyKey.deleteOne({ owner, key, completed: false })
+    done.catch((error) => logger.error('Error storing idempotent response', { requestId: req.id, err: error }))
+  })
+  next()
+}
+
+module.exports = idempotency
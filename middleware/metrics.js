@@ -0,0 +1,19 @@
+const { recordRequest } = require('../services/metrics')
+
+// Count and time every request, labelled with the route pattern rather than
+// the URL so the number of series stays small. Needs routePattern first.
+const metrics = (req, res, next) => {
+  const start = process.hrtime.bigint()
+
+  res.on('finish', () => {
+    recordRequest({
+      method: req.method,
+      route: req.routePattern || 'unmatched',
+      status: res.statusCode,
+      seconds: Number(process.hrtime.bigint() - start) / 1e9,
+    })
+  })
+  next()
+}
+
+module.exports = metrics
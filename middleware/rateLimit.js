@@ -0,0 +1,34 @@
+const { hit, secondsUntil } = require('../services/rateLimit')
+const { tooManyRequests } = require('../services/errors')
+
+// Requests per RATE_LIMIT_WINDOW_MS for each user and each device API key,
+// 0 turns the limit off
+const WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60000
+const USER_LIMIT = Number(process.env.RATE_LIMIT_USER_MAX ?? 600)
+const API_KEY_LIMIT = Number(process.env.RATE_LIMIT_API_KEY_MAX ?? 1200)
+
+// Limit the requests of the authenticated user or API key, shared across
+// all routes that use it and all API instances. Must run after
+// authentication. Answers 429 with Retry-After once the limit is used up.
+const rateLimit = async (req, res, next) => {
+  const [key, limit] = req.apiKey
+    ? [`api:key:${req.apiKey._id}`, API_KEY_LIMIT]
+    : [`api:user:${req.user._id}`, USER_LIMIT]
+  if (!limit) return next()
+
+  const now = new Date()
+  const window = await hit(key, WINDOW_MS, now)
+  const reset = secondsUntil(window.resetAt, now)
+  res.set({
+    'RateLimit-Limit': String(limit),
+    'RateLimit-Remaining': String(Math.max(0, limit - window.count)),
+    'RateLimit-Reset': String(reset),
+  })
+
+  if (window.count > limit) {
+    return next(tooManyRequests('Rate limit exceeded, try again later', reset))
+  }
+  next()
+}
+
+module.exports = rateLimit
@@ -0,0 +1,14 @@
+const crypto = require('crypto')
+
+// Reuse the caller's X-Request-Id, or make one up, so a request can be
+// followed from the client through the logs and error responses
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+const requestId = (req, res, next) => {
+  const header = req.get('X-Request-Id')
+  req.id = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID()
+  res.set('X-Request-Id', req.id)
+  next()
+}
+
+module.exports = requestId
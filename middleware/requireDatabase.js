@@ -0,0 +1,14 @@
+const { isConnected } = require('../config/database')
+const { serviceUnavailable } = require('../services/errors')
+
+// Seconds clients are asked to wait before retrying
+const RETRY_AFTER_S = 5
+
+// Answer 503 right away while MongoDB is unreachable, instead of letting
+// requests wait for the driver until they time out
+const requireDatabase = (req, res, next) => {
+  if (isConnected()) return next()
+  next(serviceUnavailable('Database unavailable, try again later', RETRY_AFTER_S))
+}
+
+module.exports = requireDatabase
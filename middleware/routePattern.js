@@ -0,0 +1,20 @@
+// Record the pattern of the route that handles a request (such as
+// /stations/:id) as req.routePattern, for logs and metrics. The router sets
+// req.route on a match but resets req.baseUrl when an error leaves the
+// router, so the full pattern is captured right away.
+const routePattern = (req, res, next) => {
+  let route
+  req.routePattern = null
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value
+      if (value) req.routePattern = `${req.baseUrl}${value.path}`
+    },
+  })
+  next()
+}
+
+module.exports = routePattern
@@ -0,0 +1,28 @@
+const { validateSchema } = require('../services/validation')
+const { HttpError, validationFailed } = require('../services/errors')
+
+// Check the request against schemas from schemas/ and fail with the failing
+// fields: 400 for path params, which are IDs, 422 for the query and body.
+// The body is replaced by its cleaned copy, without read-only fields. Query
+// strings and path params are only checked, Express 5 does not let them be
+// replaced. `partial` is for PATCH bodies.
+const validate = ({ params, query, body, partial = false }) => (req, res, next) => {
+  if (params) {
+    const { errors } = validateSchema(params, { ...req.params }, { field: 'params', coerce: true })
+    if (errors.length) return next(new HttpError(400, 'invalid_id', 'Invalid ID', errors))
+  }
+
+  const details = []
+  if (query) {
+    details.push(...validateSchema(query, { ...req.query }, { field: 'query', coerce: true }).errors)
+  }
+  if (body) {
+    const result = validateSchema(body, req.body === undefined ? {} : req.body, { field: 'body', partial })
+    details.push(...result.errors)
+    req.body = result.value
+  }
+
+  next(details.length ? validationFailed(details) : undefined)
+}
+
+module.exports = validate
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose')
+
+const STATUSES = ['open', 'acknowledged', 'resolved']
+
+// One webhook call of an alert, retried by the scheduler until it succeeds
+// or runs out of attempts
+const deliverySchema = new mongoose.Schema({
+  url:           { type: String, required: true },
+  event:         { type: String, required: true },
+  status:        { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  attempts:      { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  lockedUntil:   { type: Date },
+  lockToken:     { type: String },
+  lastError:     { type: String },
+  deliveredAt:   { type: Date },
+}, { _id: true })
+
+const alertSchema = new mongoose.Schema({
+  rule_id:          { type: mongoose.Schema.Types.ObjectId, ref: 'AlertRule', required: true },
+  station_id:       { type: mongoose.Schema.Types.ObjectId, ref: 'Station', required: true },
+  variable:         { type: String, required: true },
+  condition:        { type: String, required: true },
+  status:           { type: String, enum: STATUSES, default: 'open' },
+  message:          { type: String, required: true },
+  value:            { type: Number },
+  measurement_id:   { type: mongoose.Schema.Types.ObjectId, ref: 'Measurement' },
+  triggeredAt:      { type: Date, required: true },
+  lastTriggeredAt:  { type: Date },
+  occurrences:      { type: Number, default: 1 },
+  acknowledgedAt:   { type: Date },
+  acknowledgedBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resolvedAt:       { type: Date },
+  resolvedBy:       { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  deliveries:       { type: [deliverySchema], default: [] },
+}, { timestamps: true, versionKey: false })
+
+alertSchema.index({ rule_id: 1, station_id: 1, status: 1 })
+// One open or acknowledged alert per rule and station (MongoDB 6.0+)
+alertSchema.index(
+  { rule_id: 1, station_id: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['open', 'acknowledged'] } } }
+)
+alertSchema.index({ status: 1, triggeredAt: -1 })
+alertSchema.index({ 'deliveries.status': 1, 'deliveries.nextAttemptAt': 1 })
+
+alertSchema.statics.STATUSES = STATUSES
+
+module.exports = mongoose.model('Alert', alertSchema)
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose')
+const { VARIABLE_NAMES } = require('../config/variables')
+const { webhookUrlError } = require('../config/webhooks')
+
+const CONDITIONS = ['above', 'below', 'rate_of_change', 'no_data']
+
+// A rule applies to one station, or to every station of a type. Conditions:
+// - above / below: a reading is above / below `threshold`
+// - rate_of_change: the value changes faster than `threshold` units per hour
+//   compared to the previous reading
+// - no_data: no reading for `minutes` minutes, checked by the scheduler
+const alertRuleSchema = new mongoose.Schema({
+  name:        { type: String, required: true },
+  station_id:  { type: mongoose.Schema.Types.ObjectId, ref: 'Station', index: true },
+  stationType: { type: String },
+  variable:    { type: String, required: true, enum: VARIABLE_NAMES },
+  condition:   { type: String, required: true, enum: CONDITIONS },
+  threshold:   { type: Number },
+  minutes:     { type: Number, min: 1 },
+  webhooks:    { type: [String], default: [] },
+  enabled:     { type: Boolean, default: true },
+  createdBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true, versionKey: false })
+
+alertRuleSchema.pre('validate', function(next) {
+  if (!this.station_id === !this.stationType) {
+    this.invalidate('station_id', 'Set either station_id or stationType')
+  }
+  if (this.condition === 'no_data') {
+    if (!this.minutes) this.invalidate('minutes', 'no_data rules need minutes')
+  } else if (typeof this.threshold !== 'number') {
+    this.invalidate('threshold', `${this.condition} rules need a threshold`)
+  }
+  for (const url of this.webhooks) {
+    const error = webhookUrlError(url)
+    if (error) this.invalidate('webhooks', error)
+  }
+  next()
+})
+
+alertRuleSchema.statics.CONDITIONS = CONDITIONS
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema)
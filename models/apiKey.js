@@ -0,0 +1,23 @@
+const mongoose = require('mongoose')
+
+// Device API key bound to one station. Only a SHA-256 hash of the key is
+// stored, the prefix is kept so admins can tell keys apart.
+const apiKeySchema = new mongoose.Schema({
+  name:       { type: String, required: true },
+  station_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Station', required: true, index: true },
+  prefix:     { type: String, required: true },
+  keyHash:    { type: String, required: true, unique: true },
+  createdBy:  { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  lastUsedAt: { type: Date },
+  revokedAt:  { type: Date },
+}, { timestamps: true, versionKey: false })
+
+// Never expose the key hash in API responses
+apiKeySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.keyHash
+    return ret
+  }
+})
+
+module.exports = mongoose.model('ApiKey', apiKeySchema)
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose')
+
+// Append-only record of every change to stations and measurements
+const auditLogSchema = new mongoose.Schema({
+  action:      { type: String, required: true, enum: ['create', 'update', 'delete', 'restore', 'archive'] },
+  resource:    { type: String, required: true },
+  resource_id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  user_id:     { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  username:    { type: String },
+  apiKey_id:   { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+  before:      { type: mongoose.Schema.Types.Mixed },
+  after:       { type: mongoose.Schema.Types.Mixed },
+  details:     { type: mongoose.Schema.Types.Mixed },
+}, { timestamps: { createdAt: true, updatedAt: false }, versionKey: false })
+
+auditLogSchema.index({ resource: 1, resource_id: 1, _id: -1 })
+auditLogSchema.index({ user_id: 1, _id: -1 })
+auditLogSchema.index({ createdAt: -1 })
+
+// Entries are never changed or removed through the application
+const refuse = function() {
+  throw new Error('Audit log entries are append-only')
+}
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], refuse)
+auditLogSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], refuse)
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return next(new Error('Audit log entries are append-only'))
+  next()
+})
+
+module.exports = mongoose.model('AuditLog', auditLogSchema)
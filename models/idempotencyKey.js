@@ -0,0 +1,19 @@
+const mongoose = require('mongoose')
+
+// A request sent with an Idempotency-Key header and, once answered, its
+// response. Keys are scoped to the user or device API key that sent them.
+const idempotencyKeySchema = new mongoose.Schema({
+  owner:       { type: String, required: true },
+  key:         { type: String, required: true },
+  requestHash: { type: String, required: true },
+  completed:   { type: Boolean, default: false },
+  status:      { type: Number },
+  response:    { type: mongoose.Schema.Types.Mixed },
+  expiresAt:   { type: Date, required: true },
+}, { timestamps: true, versionKey: false })
+
+idempotencyKeySchema.index({ owner: 1, key: 1 }, { unique: true })
+// Let MongoDB remove keys once their replay window is over
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema)
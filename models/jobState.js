@@ -0,0 +1,13 @@
+const mongoose = require('mongoose')
+
+// Lock and progress of a background job that works through data in steps,
+// so only one instance runs it at a time and an interrupted run continues
+// where it stopped
+const jobStateSchema = new mongoose.Schema({
+  _id:         { type: String },
+  lockedUntil: { type: Date },
+  lockToken:   { type: String },
+  checkpoint:  { type: mongoose.Schema.Types.Mixed, default: {} },
+}, { timestamps: true, versionKey: false })
+
+module.exports = mongoose.model('JobState', jobStateSchema)
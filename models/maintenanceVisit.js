@@ -0,0 +1,30 @@
+const mongoose = require('mongoose')
+
+const KINDS = ['inspection', 'cleaning', 'calibration', 'repair', 'sensor_change', 'other']
+
+// A site visit at a station. Readings observed between startedAt and endedAt,
+// or since startedAt while the visit is open, are flagged by quality control.
+const maintenanceVisitSchema = new mongoose.Schema({
+  station_id:  { type: mongoose.Schema.Types.ObjectId, ref: 'Station', required: true },
+  kind:        { type: String, enum: KINDS, required: true },
+  startedAt:   { type: Date, required: true },
+  endedAt:     { type: Date },
+  technician:  { type: String },
+  notes:       { type: String },
+  // Serials of the sensors worked on
+  sensors:     { type: [String], default: [] },
+  createdBy:   { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+}, { timestamps: true, versionKey: false })
+
+maintenanceVisitSchema.index({ station_id: 1, startedAt: -1 })
+
+maintenanceVisitSchema.pre('validate', function(next) {
+  if (this.endedAt && this.startedAt && this.endedAt < this.startedAt) {
+    this.invalidate('endedAt', 'endedAt must not be before startedAt', this.endedAt)
+  }
+  next()
+})
+
+maintenanceVisitSchema.statics.KINDS = KINDS
+
+module.exports = mongoose.model('MaintenanceVisit', maintenanceVisitSchema)
@@ -1,8 +1,74 @@
 const mongoose = require('mongoose')
+const softDelete = require('./plugins/softDelete')
+const { VARIABLE_NAMES, unitFor } = require('../config/variables')
+const { rawCutoff } = require('../config/retention')
 
+const QUALITY_FLAGS = ['good', 'suspect', 'bad']
+
+// Result of the automatic quality checks, or an operator's verdict when
+// `manual` is set. Manual flags are kept when the checks run again.
+const qualitySchema = new mongoose.Schema({
+  flag:         { type: String, enum: QUALITY_FLAGS, default: 'good' },
+  reasons:      { type: [String], default: [] },
+  manual:       { type: Boolean, default: false },
+  note:         { type: String },
+  overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  overriddenAt: { type: Date },
+}, { _id: false })
+
+// `version` works as on stations, see models/station.js
 const measurementSchema = new mongoose.Schema({
   value:      { type: Number, required: true },
   station_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Station', required: true },
-}, { timestamps: true, versionKey: false })
+  variable:   { type: String, required: true, enum: VARIABLE_NAMES },
+  unit:       { type: String, required: true },
+  observedAt: { type: Date, required: true },
+  quality:    { type: qualitySchema, default: () => ({}) },
+}, { timestamps: true, versionKey: 'version', optimisticConcurrency: true })
+
+measurementSchema.index({ station_id: 1, variable: 1, observedAt: -1, _id: -1 })
+measurementSchema.index({ observedAt: -1, _id: -1 })
+// One reading per station, variable and time, so retried uploads cannot store
+// a reading twice. Soft deleted readings keep their slot, restore them
+// instead. Existing duplicates are removed by tools/dedupeMeasurements.js.
+// Legacy readings without a variable or observedAt are left out of it.
+measurementSchema.index({ station_id: 1, variable: 1, observedAt: 1 }, {
+  unique: true,
+  partialFilterExpression: { variable: { $type: 'string' }, observedAt: { $type: 'date' } },
+})
+
+// Default the observation time to now and the unit to the registry unit,
+// and reject units that do not match the registry. Readings older than the
+// raw retention window are rejected, they would only be rolled up and
+// deleted by the retention job.
+measurementSchema.pre('validate', function(next) {
+  // Legacy rows keep their creation time, like toJSON reports it
+  const legacy = !this.isNew && !this.observedAt
+  if (!this.observedAt) this.observedAt = this.isNew ? new Date() : this.createdAt
+
+  const cutoff = rawCutoff()
+  if (cutoff && !legacy && (this.isNew || this.isModified('observedAt')) && this.observedAt < cutoff) {
+    this.invalidate('observedAt', `observedAt must not be before ${cutoff.toISOString()}, older data is only kept as rollups`, this.observedAt)
+  }
+
+  const unit = unitFor(this.variable)
+  if (unit && !this.unit) this.unit = unit
+  if (unit && this.unit !== unit) {
+    this.invalidate('unit', `Unit of ${this.variable} must be ${unit}`, this.unit)
+  }
+  next()
+})
+
+// Rows stored before observedAt existed were observed when they were created
+measurementSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (!ret.observedAt) ret.observedAt = ret.createdAt
+    return ret
+  }
+})
+
+measurementSchema.plugin(softDelete, { restorePath: '/measurements' })
+
+measurementSchema.statics.QUALITY_FLAGS = QUALITY_FLAGS
 
-module.exports = mongoose.model('Measurement', measurementSchema) 
\ No newline at end of file
+module.exports = mongoose.model('Measurement', measurementSchema)
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose')
+
+// Aggregates of raw measurements past the retention window, per station,
+// variable, quality flag and hour or day (UTC). Written by the retention job.
+const rollupSchema = () => {
+  const schema = new mongoose.Schema({
+    station_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Station', required: true },
+    variable:   { type: String, required: true },
+    unit:       { type: String },
+    quality:    { type: String, required: true },
+    bucket:     { type: Date, required: true },
+    count:      { type: Number, required: true },
+    min:        { type: Number },
+    max:        { type: Number },
+    sum:        { type: Number },
+    avg:        { type: Number },
+  }, { timestamps: true, versionKey: false })
+
+  schema.index({ station_id: 1, variable: 1, bucket: 1, quality: 1 }, { unique: true })
+  schema.index({ bucket: 1 })
+  return schema
+}
+
+module.exports = {
+  HourlyRollup: mongoose.model('HourlyRollup', rollupSchema(), 'measurements_hourly'),
+  DailyRollup: mongoose.model('DailyRollup', rollupSchema(), 'measurements_daily'),
+}
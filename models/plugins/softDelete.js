@@ -0,0 +1,92 @@
+const mongoose = require('mongoose')
+const { conflict } = require('../../services/errors')
+
+// Soft delete for a schema: adds deletedAt/deletedBy and hides deleted
+// documents from every find, count and aggregate unless the query sets the
+// `withDeleted` option or filters on deletedAt itself. Deleted documents keep
+// their unique keys, saving another document with one of them fails with a
+// 409 pointing at `${restorePath}/:id/restore`.
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'updateOne',
+  'updateMany',
+  'distinct',
+]
+
+module.exports = function softDelete(schema, { restorePath } = {}) {
+  schema.add({
+    deletedAt: { type: Date },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  })
+
+  schema.pre(QUERY_HOOKS, function() {
+    if (this.getOptions().withDeleted) return
+    if (this.getFilter().deletedAt !== undefined) return
+    this.where({ deletedAt: null })
+  })
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return
+    const pipeline = this.pipeline()
+    // $geoNear has to stay the first stage, filter through its query
+    if (pipeline[0] && pipeline[0].$geoNear) {
+      const geoNear = pipeline[0].$geoNear
+      geoNear.query = { ...geoNear.query, deletedAt: null }
+    } else {
+      pipeline.unshift({ $match: { deletedAt: null } })
+    }
+  })
+
+  // A plain duplicate key error would name a document no one can see
+  schema.post('save', function(error, doc, next) {
+    if (error.code !== 11000 || !error.keyValue || !restorePath) return next(error)
+    doc.constructor.findOne({ ...error.keyValue, deletedAt: { $ne: null } }).select('_id')
+      .then((deleted) => {
+        if (!deleted) return next(error)
+        const fields = Object.keys(error.keyValue)
+        next(conflict(
+          `A deleted ${doc.constructor.modelName.toLowerCase()} has the same ${fields.join(', ')}, restore it with POST ${restorePath}/${deleted._id}/restore`,
+          fields.map((field) => ({ field: `body.${field}`, message: 'is taken by a deleted document' }))
+        ))
+      }, () => next(error))
+  })
+
+  // Set or clear the delete fields with one atomic update instead of save(),
+  // so documents that no longer pass validation, like legacy rows, can still
+  // be deleted and restored. A concurrent change fails with a VersionError.
+  const setDeleted = async (doc, deletedAt, deletedBy) => {
+    const versionKey = schema.options.versionKey
+    const version = versionKey ? doc.get(versionKey) : undefined
+    const filter = versionKey ? { _id: doc._id, [versionKey]: version ?? null } : { _id: doc._id }
+    const update = deletedAt
+      ? { $set: { deletedAt, deletedBy } }
+      : { $unset: { deletedAt: 1, deletedBy: 1 } }
+    if (versionKey) update.$inc = { [versionKey]: 1 }
+
+    const result = await doc.constructor.updateOne(filter, update).setOptions({ withDeleted: true })
+    if (result.matchedCount === 0) {
+      throw new mongoose.Error.VersionError(doc, version, [])
+    }
+
+    // Mirror the update on the document without marking it modified
+    doc.set({ deletedAt, deletedBy })
+    doc.unmarkModified('deletedAt')
+    doc.unmarkModified('deletedBy')
+    if (versionKey) {
+      doc.set(versionKey, (version ?? 0) + 1)
+      doc.unmarkModified(versionKey)
+    }
+    return doc
+  }
+
+  schema.methods.softDelete = function(userId, deletedAt = new Date()) {
+    return setDeleted(this, deletedAt, userId)
+  }
+
+  schema.methods.restore = function() {
+    return setDeleted(this, undefined, undefined)
+  }
+}
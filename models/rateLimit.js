@@ -0,0 +1,14 @@
+const mongoose = require('mongoose')
+
+// A fixed-window counter of the rate limiter, shared by every API instance.
+// The _id names what is counted, such as login:ip:10.0.0.7.
+const rateLimitSchema = new mongoose.Schema({
+  _id:     { type: String },
+  count:   { type: Number, default: 0 },
+  resetAt: { type: Date, required: true },
+}, { versionKey: false })
+
+// Let MongoDB remove windows that are over
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema)
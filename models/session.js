@@ -0,0 +1,17 @@
+const mongoose = require('mongoose')
+
+// A login session. Access tokens carry the session ID, refresh tokens are
+// stored only as SHA-256 hashes and rotated on every refresh. The hashes of
+// rotated tokens are kept to detect their reuse.
+const sessionSchema = new mongoose.Schema({
+  user_id:           { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash:  { type: String, required: true, unique: true },
+  usedTokenHashes:   { type: [String], default: undefined, index: true },
+  expiresAt:         { type: Date, required: true },
+  revokedAt:         { type: Date },
+}, { timestamps: true, versionKey: false })
+
+// Let MongoDB remove expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model('Session', sessionSchema)
@@ -1,11 +1,96 @@
 const mongoose = require('mongoose')
+const softDelete = require('./plugins/softDelete')
+const { VARIABLE_NAMES } = require('../config/variables')
 
+// Operational status: inactive stations are not expected to report,
+// readings during maintenance are flagged and decommissioned stations take
+// no new measurements
+const STATUSES = ['active', 'inactive', 'maintenance', 'decommissioned']
+
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value })
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+const pointSchema = new mongoose.Schema({
+  type:        { type: String, enum: ['Point'], default: 'Point', required: true },
+  coordinates: { type: [Number], required: true },
+}, { _id: false })
+
+// One status change, the history is appended to and never edited
+const statusChangeSchema = new mongoose.Schema({
+  status:    { type: String, enum: STATUSES, required: true },
+  changedAt: { type: Date, required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reason:    { type: String },
+}, { _id: false })
+
+// A sensor installed at the station
+const sensorSchema = new mongoose.Schema({
+  variable:     { type: String, enum: VARIABLE_NAMES },
+  model:        { type: String, required: true },
+  serial:       { type: String, required: true },
+  installedAt:  { type: Date },
+  calibratedAt: { type: Date },
+})
+
+// `version` is bumped by every save, a save over a concurrent change fails
+// with a VersionError. It is the ETag of the station.
 const stationSchema = new mongoose.Schema({
   name:        { type: String, required: true },
-  long:        { type: Number, required: true },
-  lat:         { type: Number, required: true },
+  long:        { type: Number, required: true, min: -180, max: 180 },
+  lat:         { type: Number, required: true, min: -90, max: 90 },
+  location:    { type: pointSchema },
   type:        { type: String, required: true },
   code:        { type: String, required: true, unique: true },
-}, { timestamps: true, versionKey: false })
+  elevation:   { type: Number },
+  timezone:    { type: String, default: 'UTC', validate: { validator: isTimeZone, message: 'timezone must be an IANA time zone, e.g. Europe/Berlin' } },
+  status:      { type: String, enum: STATUSES, default: 'active' },
+  statusHistory: { type: [statusChangeSchema], default: undefined },
+  sensors:     { type: [sensorSchema], default: [] },
+  archivedAt:  { type: Date },
+}, { timestamps: true, versionKey: 'version', optimisticConcurrency: true })
+
+stationSchema.index({ location: '2dsphere' })
+
+// long/lat stay the API fields, location mirrors them as a GeoJSON point for
+// geo queries. A payload with only a location fills long/lat from it, also
+// when a PUT cleared them.
+stationSchema.pre('validate', function(next) {
+  const coordinates = this.location && this.location.coordinates
+  const missing = this.long === undefined || this.long === null || this.lat === undefined || this.lat === null
+  if (this.isModified('location') && (missing || (!this.isModified('long') && !this.isModified('lat'))) &&
+      coordinates && coordinates.length === 2) {
+    this.long = coordinates[0]
+    this.lat = coordinates[1]
+  }
+  if (this.long !== undefined && this.long !== null && this.lat !== undefined && this.lat !== null) {
+    this.location = { type: 'Point', coordinates: [this.long, this.lat] }
+  }
+  next()
+})
+
+// New stations start their history with the initial status
+stationSchema.pre('validate', function(next) {
+  if (this.isNew && !(this.statusHistory && this.statusHistory.length)) {
+    this.statusHistory = [{ status: this.status, changedAt: new Date() }]
+  }
+  next()
+})
+
+// Change the status and record it in the history. Saving is up to the caller.
+stationSchema.methods.changeStatus = function(status, { userId, reason, at = new Date() } = {}) {
+  this.status = status
+  if (!this.statusHistory) this.statusHistory = []
+  this.statusHistory.push({ status, changedAt: at, changedBy: userId, reason })
+}
+
+stationSchema.plugin(softDelete, { restorePath: '/stations' })
+
+stationSchema.statics.STATUSES = STATUSES
 
-module.exports = mongoose.model('Station', stationSchema) 
\ No newline at end of file
+module.exports = mongoose.model('Station', stationSchema)
@@ -1,12 +1,26 @@
 const mongoose = require('mongoose')
 const bcrypt = require('bcryptjs')
+const { ROLES } = require('../config/permissions')
 
 const userSchema = new mongoose.Schema({
   username: { type: String, required: true, unique: true },
   password: { type: String, required: true },
-  role: { type: String, enum: ['admin', 'user'], default: 'user' }
+  role: { type: String, enum: ROLES, default: 'viewer' },
+  disabled: { type: Boolean, default: false },
+  // Brute-force protection, see services/loginThrottle.js
+  failedLoginAttempts: { type: Number, default: 0 },
+  lastFailedLoginAt: { type: Date },
+  lockedUntil: { type: Date }
 }, { timestamps: true, versionKey: false })
 
+// Never expose the password hash in API responses
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password
+    return ret
+  }
+})
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (this.isModified('password')) {
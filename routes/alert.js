@@ -0,0 +1,286 @@
+const express = require('express')
+const router = express.Router()
+const Alert = require('../models/alert')
+const AlertRule = require('../models/alertRule')
+const { authenticateToken, authorize } = require('../middleware/auth')
+const { badRequest, conflict, notFound } = require('../services/errors')
+const { resolveAlert } = require('../services/alerts')
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../services/measurementQuery')
+const { can } = require('../config/permissions')
+
+// Webhook URLs often carry secrets, only roles that may change alert rules
+// see the deliveries
+const visibleAlert = (req, alert) => {
+  if (can(req.user.role, 'alertRules', 'update')) return alert
+  const { deliveries, ...rest } = alert.toJSON()
+  return rest
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Alert:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         rule_id:
+ *           type: string
+ *         station_id:
+ *           type: string
+ *         variable:
+ *           type: string
+ *         condition:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [open, acknowledged, resolved]
+ *         message:
+ *           type: string
+ *         value:
+ *           type: number
+ *           description: Latest value that triggered the alert
+ *         measurement_id:
+ *           type: string
+ *         triggeredAt:
+ *           type: string
+ *           format: date-time
+ *         lastTriggeredAt:
+ *           type: string
+ *           format: date-time
+ *         occurrences:
+ *           type: integer
+ *           description: How many times the rule fired while the alert was active
+ *         acknowledgedAt:
+ *           type: string
+ *           format: date-time
+ *         acknowledgedBy:
+ *           type: string
+ *         resolvedAt:
+ *           type: string
+ *           format: date-time
+ *         resolvedBy:
+ *           type: string
+ *           description: User who resolved the alert, empty when it resolved automatically
+ *         deliveries:
+ *           type: array
+ *           description: Webhook calls and their state, only shown to roles that may change alert rules
+ *           items:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               event:
+ *                 type: string
+ *                 enum: [alert.triggered, alert.resolved]
+ *               status:
+ *                 type: string
+ *                 enum: [pending, delivered, failed]
+ *               attempts:
+ *                 type: integer
+ *               lastError:
+ *                 type: string
+ */
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken)
+
+/**
+ * @swagger
+ * /alerts:
+ *   get:
+ *     summary: Get alerts, newest first
+ *     description: Allowed roles are admin, operator, viewer, user.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged, resolved]
+ *         description: Filter by status
+ *       - in: query
+ *         name: station_id
+ *         schema:
+ *           type: string
+ *         description: Filter by station ID
+ *       - in: query
+ *         name: rule_id
+ *         schema:
+ *           type: string
+ *         description: Filter by alert rule ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *         description: Maximum number of alerts
+ *     responses:
+ *       200:
+ *         description: List of alerts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Alert'
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authorize('alerts', 'read'), async (req, res) => {
+  const filter = {}
+  if (req.query.status) filter.status = req.query.status
+  if (req.query.station_id) filter.station_id = req.query.station_id
+  if (req.query.rule_id) filter.rule_id = req.query.rule_id
+
+  const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`)
+  }
+
+  const alerts = await Alert.find(filter).sort({ triggeredAt: -1 }).limit(limit)
+  res.status(200).json(alerts.map((alert) => visibleAlert(req, alert)))
+})
+
+/**
+ * @swagger
+ * /alerts/{id}:
+ *   get:
+ *     summary: Get alert by ID
+ *     description: Allowed roles are admin, operator, viewer, user.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert ID
+ *     responses:
+ *       200:
+ *         description: Alert found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alert'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Alert not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authorize('alerts', 'read'), async (req, res) => {
+  const alert = await Alert.findById(req.params.id)
+  if (!alert) {
+    throw notFound('Alert not found')
+  }
+  res.status(200).json(visibleAlert(req, alert))
+})
+
+/**
+ * @swagger
+ * /alerts/{id}/acknowledge:
+ *   post:
+ *     summary: Acknowledge an open alert
+ *     description: Allowed roles are admin, operator.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert ID
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alert'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is not open
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/acknowledge', authorize('alerts', 'update'), async (req, res) => {
+  const alert = await Alert.findById(req.params.id)
+  if (!alert) {
+    throw notFound('Alert not found')
+  }
+  if (alert.status !== 'open') {
+    throw conflict(`Alert is ${alert.status}`)
+  }
+
+  alert.status = 'acknowledged'
+  alert.acknowledgedAt = new Date()
+  alert.acknowledgedBy = req.user._id
+  const saved = await alert.save()
+  res.status(200).json(saved)
+})
+
+/**
+ * @swagger
+ * /alerts/{id}/resolve:
+ *   post:
+ *     summary: Resolve an alert
+ *     description: Allowed roles are admin, operator. Alerts also resolve on their own once readings are back within the rule.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert ID
+ *     responses:
+ *       200:
+ *         description: Alert resolved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Alert'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is already resolved
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/resolve', authorize('alerts', 'update'), async (req, res) => {
+  const alert = await Alert.findById(req.params.id)
+  if (!alert) {
+    throw notFound('Alert not found')
+  }
+  if (alert.status === 'resolved') {
+    throw conflict('Alert is resolved')
+  }
+
+  const rule = await AlertRule.findById(alert.rule_id)
+  const saved = await resolveAlert(alert, rule, req.user._id)
+  res.status(200).json(saved)
+})
+
+module.exports = router
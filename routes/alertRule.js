@@ -0,0 +1,269 @@
+const express = require('express')
+const router = express.Router()
+const AlertRule = require('../models/alertRule')
+const { authenticateToken, authorize } = require('../middleware/auth')
+const { notFound } = require('../services/errors')
+const { can } = require('../config/permissions')
+
+// Fields clients may set, the rest are managed by the server
+const RULE_FIELDS = ['name', 'station_id', 'stationType', 'variable', 'condition', 'threshold', 'minutes', 'webhooks', 'enabled']
+
+const pickRuleFields = (body) => {
+  const fields = {}
+  for (const field of RULE_FIELDS) {
+    if (body[field] !== undefined) fields[field] = body[field]
+  }
+  return fields
+}
+
+// Webhook URLs often carry secrets, only roles that may change rules see them
+const visibleRule = (req, rule) => {
+  if (can(req.user.role, 'alertRules', 'update')) return rule
+  const { webhooks, ...rest } = rule.toJSON()
+  return rest
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlertRule:
+ *       type: object
+ *       required:
+ *         - name
+ *         - variable
+ *         - condition
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Rule name
+ *         station_id:
+ *           type: string
+ *           description: Station the rule applies to. Set either station_id or stationType.
+ *         stationType:
+ *           type: string
+ *           description: Station type the rule applies to, e.g. automatic
+ *         variable:
+ *           type: string
+ *           description: Variable the rule watches
+ *         condition:
+ *           type: string
+ *           enum: [above, below, rate_of_change, no_data]
+ *           description: above/below compare each reading with threshold, rate_of_change compares the change per hour since the previous reading with threshold, no_data fires when there was no reading for minutes
+ *         threshold:
+ *           type: number
+ *           description: Limit for above, below and rate_of_change (units per hour)
+ *         minutes:
+ *           type: integer
+ *           minimum: 1
+ *           description: Silence allowed by no_data rules
+ *         webhooks:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: uri
+ *           description: URLs that get a POST when an alert of the rule is triggered or resolved. Only shown to roles that may change rules. Private, loopback and link-local hosts are refused, or any host outside WEBHOOK_ALLOWED_HOSTS when it is set.
+ *         enabled:
+ *           type: boolean
+ *           default: true
+ */
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken)
+
+/**
+ * @swagger
+ * /alert-rules:
+ *   get:
+ *     summary: Get all alert rules
+ *     description: Allowed roles are admin, operator, viewer, user.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: station_id
+ *         schema:
+ *           type: string
+ *         description: Filter by station ID
+ *       - in: query
+ *         name: variable
+ *         schema:
+ *           type: string
+ *         description: Filter by variable
+ *     responses:
+ *       200:
+ *         description: List of alert rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AlertRule'
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authorize('alertRules', 'read'), async (req, res) => {
+  const filter = {}
+  if (req.query.station_id) filter.station_id = req.query.station_id
+  if (req.query.variable) filter.variable = req.query.variable
+
+  const rules = await AlertRule.find(filter)
+  res.status(200).json(rules.map((rule) => visibleRule(req, rule)))
+})
+
+/**
+ * @swagger
+ * /alert-rules/{id}:
+ *   get:
+ *     summary: Get alert rule by ID
+ *     description: Allowed roles are admin, operator, viewer, user.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert rule ID
+ *     responses:
+ *       200:
+ *         description: Alert rule found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AlertRule'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Alert rule not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authorize('alertRules', 'read'), async (req, res) => {
+  const rule = await AlertRule.findById(req.params.id)
+  if (!rule) {
+    throw notFound('Alert rule not found')
+  }
+  res.status(200).json(visibleRule(req, rule))
+})
+
+/**
+ * @swagger
+ * /alert-rules:
+ *   post:
+ *     summary: Create a new alert rule
+ *     description: Allowed roles are admin, operator.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRule'
+ *     responses:
+ *       201:
+ *         description: Alert rule created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AlertRule'
+ *       403:
+ *         description: Insufficient permissions
+ *       400:
+ *         description: Invalid input
+ */
+router.post('/', authorize('alertRules', 'create'), async (req, res) => {
+  const rule = new AlertRule({ ...pickRuleFields(req.body), createdBy: req.user._id })
+  const saved = await rule.save()
+  res.status(201).json(saved)
+})
+
+/**
+ * @swagger
+ * /alert-rules/{id}:
+ *   patch:
+ *     summary: Update alert rule partially
+ *     description: Allowed roles are admin, operator.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertRule'
+ *     responses:
+ *       200:
+ *         description: Alert rule updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AlertRule'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Alert rule not found
+ *       400:
+ *         description: Invalid input
+ */
+router.patch('/:id', authorize('alertRules', 'update'), async (req, res) => {
+  const rule = await AlertRule.findById(req.params.id)
+  if (!rule) {
+    throw notFound('Alert rule not found')
+  }
+
+  rule.set(pickRuleFields(req.body))
+  const saved = await rule.save()
+  res.status(200).json(saved)
+})
+
+/**
+ * @swagger
+ * /alert-rules/{id}:
+ *   delete:
+ *     summary: Delete an alert rule
+ *     description: Allowed roles are admin, operator. Alerts already triggered by the rule are kept.
+ *     tags: [Alerts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert rule ID
+ *     responses:
+ *       200:
+ *         description: Alert rule deleted successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Alert rule not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authorize('alertRules', 'delete'), async (req, res) => {
+  const rule = await AlertRule.findByIdAndDelete(req.params.id)
+  if (!rule) {
+    throw notFound('Alert rule not found')
+  }
+  res.status(200).json({ message: 'Alert rule deleted successfully' })
+})
+
+module.exports = router
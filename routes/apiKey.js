@@ -0,0 +1,187 @@
+const express = require('express')
+const router = express.Router({ mergeParams: true })
+const ApiKey = require('../models/apiKey')
+const Station = require('../models/station')
+const { authorize, generateApiKey } = require('../middleware/auth')
+const { notFound } = require('../services/errors')
+
+// Mounted under /stations/:stationId/api-keys, authentication is applied by
+// the station router.
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: API key ID
+ *         name:
+ *           type: string
+ *           description: Label of the key, e.g. the data logger it is installed on
+ *         station_id:
+ *           type: string
+ *           description: ID of the station the key may post measurements for
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, to tell keys apart
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last time the key authenticated a request
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the key was revoked
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /stations/{stationId}/api-keys:
+ *   get:
+ *     summary: Get the API keys of a station
+ *     description: Requires the admin role.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *     responses:
+ *       200:
+ *         description: List of API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authorize('apiKeys', 'read'), async (req, res) => {
+  const apiKeys = await ApiKey.find({ station_id: req.params.stationId })
+  res.status(200).json(apiKeys)
+})
+
+/**
+ * @swagger
+ * /stations/{stationId}/api-keys:
+ *   post:
+ *     summary: Issue a new API key for a station
+ *     description: Requires the admin role. The key is only returned in this response, store it on the device right away.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/ApiKey'
+ *                 - type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: The API key, send it in the X-API-Key header
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Station not found
+ *       400:
+ *         description: Invalid input
+ */
+router.post('/', authorize('apiKeys', 'create'), async (req, res) => {
+  const station = await Station.findById(req.params.stationId)
+  if (!station) {
+    throw notFound('Station not found')
+  }
+
+  const { key, prefix, keyHash } = generateApiKey()
+  const apiKey = new ApiKey({
+    name: req.body.name,
+    station_id: station._id,
+    prefix,
+    keyHash,
+    createdBy: req.user._id,
+  })
+  const saved = await apiKey.save()
+  res.status(201).json({ ...saved.toJSON(), key })
+})
+
+/**
+ * @swagger
+ * /stations/{stationId}/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: Requires the admin role. The key stays listed with its revocation time.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authorize('apiKeys', 'delete'), async (req, res) => {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: req.params.id, station_id: req.params.stationId, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  )
+  if (!apiKey) {
+    throw notFound('API key not found')
+  }
+  res.status(200).json({ message: 'API key revoked successfully' })
+})
+
+module.exports = router
@@ -0,0 +1,162 @@
+const express = require('express')
+const router = express.Router()
+const mongoose = require('mongoose')
+const AuditLog = require('../models/auditLog')
+const { authenticateToken, authorize } = require('../middleware/auth')
+const { parseDate, DEFAULT_LIMIT, MAX_LIMIT } = require('../services/measurementQuery')
+const { badRequest } = require('../services/errors')
+
+const objectIdParam = (value, name) => {
+  if (!mongoose.isObjectIdOrHexString(value)) throw badRequest(`Invalid ${name}`)
+  return new mongoose.Types.ObjectId(value)
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore, archive]
+ *         resource:
+ *           type: string
+ *           enum: [station, measurement]
+ *         resource_id:
+ *           type: string
+ *         user_id:
+ *           type: string
+ *           description: User who made the change
+ *         username:
+ *           type: string
+ *         apiKey_id:
+ *           type: string
+ *           description: Station API key that made the change, for device requests
+ *         before:
+ *           type: object
+ *           description: The resource before the change
+ *         after:
+ *           type: object
+ *           description: The resource after the change
+ *         details:
+ *           type: object
+ *           description: Extra information, e.g. the delete policy
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken)
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Query the audit log, newest first
+ *     description: Requires the admin role. Pass the returned nextCursor as cursor to get the next page.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: resource
+ *         schema:
+ *           type: string
+ *           enum: [station, measurement]
+ *         description: Filter by resource type
+ *       - in: query
+ *         name: resource_id
+ *         schema:
+ *           type: string
+ *         description: Filter by resource ID
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: string
+ *         description: Filter by the user who made the change
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore, archive]
+ *         description: Filter by action
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes before this time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *         description: Page size
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor of the previous page
+ *     responses:
+ *       200:
+ *         description: Page of audit log entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authorize('audit', 'read'), async (req, res) => {
+  const filter = {}
+  if (req.query.resource) filter.resource = req.query.resource
+  if (req.query.action) filter.action = req.query.action
+  if (req.query.resource_id) filter.resource_id = objectIdParam(req.query.resource_id, 'resource_id')
+  if (req.query.user_id) filter.user_id = objectIdParam(req.query.user_id, 'user_id')
+  if (req.query.from || req.query.to) {
+    filter.createdAt = {}
+    if (req.query.from) filter.createdAt.$gte = parseDate(req.query.from, 'from')
+    if (req.query.to) filter.createdAt.$lt = parseDate(req.query.to, 'to')
+  }
+  if (req.query.cursor) filter._id = { $lt: objectIdParam(req.query.cursor, 'cursor') }
+
+  const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`)
+  }
+
+  const entries = await AuditLog.find(filter).sort({ _id: -1 }).limit(limit + 1)
+  const hasMore = entries.length > limit
+  const data = hasMore ? entries.slice(0, limit) : entries
+  res.status(200).json({
+    data,
+    nextCursor: hasMore ? String(data[data.length - 1]._id) : null,
+  })
+})
+
+module.exports = router
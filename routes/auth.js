@@ -2,7 +2,14 @@ const express = require('express')
 const router = express.Router()
 const bcrypt = require('bcryptjs')
 const User = require('../models/user')
-const { generateToken } = require('../middleware/auth')
+const { createSession, rotateSession, revokeSession } = require('../middleware/auth')
+const { badRequest, unauthorized } = require('../services/errors')
+const { recordLogin } = require('../services/metrics')
+const { loginBlocked, recordLoginFailure, recordLoginSuccess } = require('../services/loginThrottle')
+
+// Compared against when the user does not exist, so unknown usernames take
+// as long as wrong passwords
+const DUMMY_HASH = bcrypt.hashSync('not a password', 10)
 
 /**
  * @swagger
@@ -36,29 +43,146 @@ const { generateToken } = require('../middleware/auth')
  *               properties:
  *                 token:
  *                   type: string
- *                   description: JWT access token
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token used to obtain new access tokens
  *                 userId:
  *                   type: string
  *                   description: User ID
  *       401:
  *         description: Invalid credentials
+ *       400:
+ *         description: Username and password required
+ *       423:
+ *         description: Account temporarily locked after too many failed logins, see the Retry-After header
+ *       429:
+ *         description: Too many failed logins from this address, see the Retry-After header
  *       500:
  *         description: Server error
  */
 router.post('/login', async (req, res) => {
-  try {
-    const { username, password } = req.body
-    const user = await User.findOne({ username })
-    
-    if (!user || !(await bcrypt.compare(password, user.password))) {
-      return res.status(401).json({ error: 'Invalid credentials' })
-    }
-    
-    const token = generateToken(user._id)
-    res.status(200).json({ token, userId: user._id })
-  } catch (error) {
-    res.status(500).json({ error: error.message })
+  const { username, password } = req.body
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    throw badRequest('Username and password required')
+  }
+  const user = await User.findOne({ username })
+  const attempt = { ip: req.ip, username, user }
+
+  const blocked = await loginBlocked(attempt)
+  if (blocked) {
+    recordLogin('throttled')
+    throw blocked
+  }
+
+  // Disabled users get the same answer, their passwords stay unconfirmed
+  const matches = await bcrypt.compare(password, user ? user.password : DUMMY_HASH)
+  if (!user || !matches || user.disabled) {
+    recordLogin('failure')
+    await recordLoginFailure(attempt)
+    throw unauthorized('Invalid credentials')
+  }
+
+  await recordLoginSuccess(attempt)
+  const { token, refreshToken } = await createSession(user._id)
+  recordLogin('success')
+  res.status(200).json({ token, refreshToken, userId: user._id })
+})
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: The refresh token is rotated, the old one can no longer be used. Reusing an old refresh token revokes the whole session.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: New refresh token
+ *                 userId:
+ *                   type: string
+ *                   description: User ID
+ *       400:
+ *         description: Refresh token required
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *       500:
+ *         description: Server error
+ */
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body
+  if (!refreshToken) {
+    throw badRequest('Refresh token required')
+  }
+
+  const tokens = await rotateSession(refreshToken)
+  if (!tokens) {
+    throw unauthorized('Invalid refresh token')
+  }
+  res.status(200).json(tokens)
+})
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Logout and revoke the session of a refresh token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       400:
+ *         description: Refresh token required
+ *       401:
+ *         description: Invalid refresh token
+ *       500:
+ *         description: Server error
+ */
+router.post('/logout', async (req, res) => {
+  const { refreshToken } = req.body
+  if (!refreshToken) {
+    throw badRequest('Refresh token required')
+  }
+
+  if (!(await revokeSession(refreshToken))) {
+    throw unauthorized('Invalid refresh token')
   }
+  res.status(200).json({ message: 'Logged out successfully' })
 })
 
 module.exports = router 
\ No newline at end of file
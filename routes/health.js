@@ -0,0 +1,80 @@
+const express = require('express')
+const router = express.Router()
+const { databaseStatus } = require('../config/database')
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Readiness:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ready, not_ready, shutting_down]
+ *         mongo:
+ *           type: object
+ *           properties:
+ *             connected:
+ *               type: boolean
+ *             indexesBuilt:
+ *               type: boolean
+ */
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Liveness check, answers as long as the process is running
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: The process is alive
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: ok
+ *                 uptime:
+ *                   type: number
+ *                   description: Seconds since the process started
+ */
+router.get('/health', (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() })
+})
+
+/**
+ * @swagger
+ * /ready:
+ *   get:
+ *     summary: Readiness check, MongoDB is connected and its indexes are built
+ *     description: Answers 503 while the server starts, loses MongoDB or shuts down, load balancers should stop sending requests then.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Ready to serve requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: Not ready
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Readiness'
+ */
+router.get('/ready', (req, res) => {
+  const mongo = databaseStatus()
+  let status = mongo.connected && mongo.indexesBuilt ? 'ready' : 'not_ready'
+  if (req.app.locals.shuttingDown) status = 'shutting_down'
+
+  res.status(status === 'ready' ? 200 : 503).json({ status, mongo })
+})
+
+module.exports = router
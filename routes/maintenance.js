@@ -0,0 +1,298 @@
+const express = require('express')
+const router = express.Router({ mergeParams: true })
+const MaintenanceVisit = require('../models/maintenanceVisit')
+const Station = require('../models/station')
+const { authorize } = require('../middleware/auth')
+const { notFound } = require('../services/errors')
+const { parseDate } = require('../services/measurementQuery')
+const { refreshMaintenanceFlags } = require('../services/maintenance')
+const { recordAudit } = require('../services/audit')
+const validate = require('../middleware/validate')
+const { objectId, queryObject } = require('../schemas/common')
+const { components, maintenanceListQuery } = require('../schemas')
+
+// Mounted under /stations/:stationId/maintenance, authentication is applied
+// by the station router.
+
+const stationParams = queryObject({ stationId: objectId('Station ID') })
+const visitParams = queryObject({ stationId: objectId('Station ID'), id: objectId('Maintenance visit ID') })
+
+const findStation = async (id) => {
+  const station = await Station.findById(id)
+  if (!station) {
+    throw notFound('Station not found')
+  }
+  return station
+}
+
+const findVisit = async (stationId, id) => {
+  const visit = await MaintenanceVisit.findOne({ _id: id, station_id: stationId })
+  if (!visit) {
+    throw notFound('Maintenance visit not found')
+  }
+  return visit
+}
+
+// Time span whose readings a visit flags, open visits last until now
+const windowOf = (visit) => ({ from: visit.startedAt, to: visit.endedAt || new Date() })
+
+/**
+ * @swagger
+ * /stations/{stationId}/maintenance:
+ *   get:
+ *     summary: Get the maintenance log of a station
+ *     description: Allowed roles are admin, operator, viewer, user. Newest visits first.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only visits still going on at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only visits started at or before this time
+ *     responses:
+ *       200:
+ *         description: List of maintenance visits
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MaintenanceVisit'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Station not found
+ *       422:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', authorize('maintenance', 'read'), validate({ params: stationParams, query: maintenanceListQuery }), async (req, res) => {
+  const station = await findStation(req.params.stationId)
+
+  const filter = { station_id: station._id }
+  if (req.query.from) {
+    filter.$or = [{ endedAt: null }, { endedAt: { $gte: parseDate(req.query.from, 'from') } }]
+  }
+  if (req.query.to) {
+    filter.startedAt = { $lte: parseDate(req.query.to, 'to') }
+  }
+  const visits = await MaintenanceVisit.find(filter).sort({ startedAt: -1 })
+  res.status(200).json(visits)
+})
+
+/**
+ * @swagger
+ * /stations/{stationId}/maintenance:
+ *   post:
+ *     summary: Log a maintenance visit
+ *     description: Requires the admin or operator role. Stored readings taken during the visit are flagged suspect, leave endedAt out while the visit goes on.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaintenanceVisit'
+ *     responses:
+ *       201:
+ *         description: Maintenance visit logged successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenanceVisit'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Station not found
+ *       422:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authorize('maintenance', 'create'), validate({ params: stationParams, body: components.MaintenanceVisit }), async (req, res) => {
+  const station = await findStation(req.params.stationId)
+
+  const visit = new MaintenanceVisit({ ...req.body, station_id: station._id, createdBy: req.user._id })
+  const saved = await visit.save()
+  const { from, to } = windowOf(saved)
+  await refreshMaintenanceFlags(station, from, to)
+  await recordAudit(req, { action: 'create', resource: 'maintenance', resourceId: saved._id, after: saved })
+  res.status(201).json(saved)
+})
+
+/**
+ * @swagger
+ * /stations/{stationId}/maintenance/{id}:
+ *   get:
+ *     summary: Get a maintenance visit
+ *     description: Allowed roles are admin, operator, viewer, user.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Maintenance visit ID
+ *     responses:
+ *       200:
+ *         description: Maintenance visit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenanceVisit'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Maintenance visit not found
+ */
+router.get('/:id', authorize('maintenance', 'read'), validate({ params: visitParams }), async (req, res) => {
+  const visit = await findVisit(req.params.stationId, req.params.id)
+  res.status(200).json(visit)
+})
+
+/**
+ * @swagger
+ * /stations/{stationId}/maintenance/{id}:
+ *   patch:
+ *     summary: Update a maintenance visit
+ *     description: Requires the admin or operator role. Set endedAt to close an open visit, the flags of the readings follow the new times.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Maintenance visit ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MaintenanceVisitPatch'
+ *     responses:
+ *       200:
+ *         description: Maintenance visit updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MaintenanceVisit'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Maintenance visit not found
+ *       422:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id', authorize('maintenance', 'update'), validate({ params: visitParams, body: components.MaintenanceVisit, partial: true }), async (req, res) => {
+  const station = await findStation(req.params.stationId)
+  const visit = await findVisit(station._id, req.params.id)
+
+  const before = visit.toObject()
+  visit.set(req.body)
+  const saved = await visit.save()
+
+  // Readings of the old and the new time span may change flags
+  const previous = windowOf(before)
+  const current = windowOf(saved)
+  await refreshMaintenanceFlags(
+    station,
+    previous.from < current.from ? previous.from : current.from,
+    previous.to > current.to ? previous.to : current.to
+  )
+  await recordAudit(req, { action: 'update', resource: 'maintenance', resourceId: saved._id, before, after: saved })
+  res.status(200).json(saved)
+})
+
+/**
+ * @swagger
+ * /stations/{stationId}/maintenance/{id}:
+ *   delete:
+ *     summary: Delete a maintenance visit
+ *     description: Requires the admin role. Readings taken during the visit are no longer flagged for it.
+ *     tags: [Maintenance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: stationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Maintenance visit ID
+ *     responses:
+ *       200:
+ *         description: Maintenance visit deleted successfully
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Maintenance visit not found
+ */
+router.delete('/:id', authorize('maintenance', 'delete'), validate({ params: visitParams }), async (req, res) => {
+  const station = await findStation(req.params.stationId)
+  const visit = await findVisit(station._id, req.params.id)
+
+  await visit.deleteOne()
+  const { from, to } = windowOf(visit)
+  await refreshMaintenanceFlags(station, from, to)
+  await recordAudit(req, { action: 'delete', resource: 'maintenance', resourceId: visit._id, before: visit })
+  res.status(200).json({ message: 'Maintenance visit deleted successfully' })
+})
+
+module.exports = router
@@ -1,38 +1,197 @@
 const express = require('express')
 const router = express.Router()
 const Measurement = require('../models/measurement')
-const { authenticateToken } = require('../middleware/auth')
+const { VARIABLES, VARIABLE_NAMES } = require('../config/variables')
+const { authenticateTokenOrApiKey, acceptQueryToken, authorize } = require('../middleware/auth')
+const { badRequest, forbidden, notFound } = require('../services/errors')
+const {
+  buildMeasurementFilter,
+  parseSort,
+  parsePagination,
+  parseBoolean,
+  afterCursor,
+  encodeCursor
+} = require('../services/measurementQuery')
+const { parseStatsOptions, measurementStats } = require('../services/measurementStats')
+const { parseBulkBody, ingestMeasurements } = require('../services/bulkIngest')
+const { csvRow, streamCursor, startDownload } = require('../services/export')
+const { stationWriteError } = require('../services/stationIntegrity')
+const { recordAudit, recordCreates } = require('../services/audit')
+const { setEtag, checkIfMatch } = require('../services/etag')
+const { evaluateMeasurementsSafely } = require('../services/alerts')
+const { assessQuality } = require('../services/qualityControl')
+const { streamLive } = require('../services/liveStream')
+const { recordIngested } = require('../services/metrics')
+const { can } = require('../config/permissions')
+const validate = require('../middleware/validate')
+const rateLimit = require('../middleware/rateLimit')
+const idempotency = require('../middleware/idempotency')
+const { idParams } = require('../schemas/common')
+const {
+  components,
+  measurementListQuery,
+  measurementStatsQuery,
+  measurementExportQuery,
+  measurementStreamQuery,
+  bulkQuery
+} = require('../schemas')
+
+// Measurements keep pointing at their station after it is deleted
+const STATION_POPULATE = { path: 'station_id', options: { withDeleted: true } }
+
+const EXPORT_COLUMNS = ['_id', 'station_id', 'variable', 'value', 'unit', 'observedAt', 'quality', 'createdAt']
+
+// Fields a PUT replaces, the rest are managed by the server
+const REPLACEABLE_FIELDS = ['value', 'station_id', 'variable', 'unit', 'observedAt']
+
+// Apply authentication and rate limiting middleware to all routes. Station
+// devices may use their API key, authorize() only lets them create
+// measurements.
+router.use('/stream', acceptQueryToken)
+router.use(authenticateTokenOrApiKey, rateLimit)
+
+// Station devices may leave out station_id, it defaults to their key's
+// station before the body is validated
+const fillDeviceStation = (req, res, next) => {
+  if (!req.apiKey || !req.body || typeof req.body !== 'object' || Array.isArray(req.body)) return next()
+  const stationId = String(req.apiKey.station_id)
+  if (req.body.station_id && String(req.body.station_id) !== stationId) {
+    return next(forbidden('API key is not valid for this station'))
+  }
+  req.body = { ...req.body, station_id: stationId }
+  next()
+}
 
 /**
  * @swagger
- * components:
- *   schemas:
- *     Measurement:
- *       type: object
- *       required:
- *         - value
- *         - station_id
- *       properties:
- *         value:
- *           type: number
- *           description: Measurement value
- *         station_id:
+ * /measurements:
+ *   get:
+ *     summary: Get measurements, one page at a time
+ *     description: Allowed roles are admin, operator, viewer, user. Results are ordered by observedAt. Pass the returned nextCursor as cursor to get the next page.
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: station_id
+ *         schema:
  *           type: string
- *           description: ID of the station where measurement was taken
- *         createdAt:
+ *         description: Filter by station ID. Several IDs can be separated by commas.
+ *       - in: query
+ *         name: variable
+ *         schema:
+ *           type: string
+ *         description: Filter by variable. Several variables can be separated by commas.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only measurements observed at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
  *           type: string
  *           format: date-time
- *           description: Timestamp of measurement creation
+ *         description: Only measurements observed before this time
+ *       - in: query
+ *         name: quality
+ *         schema:
+ *           type: string
+ *         description: Only measurements with these quality flags (good, suspect, bad), e.g. good to leave out flagged data. Several flags can be separated by commas.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Order by observation time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *         description: Page size
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor of the previous page
+ *       - in: query
+ *         name: populate
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to return station_id as a plain ID instead of the station
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also count every measurement matching the filters
+ *     responses:
+ *       200:
+ *         description: Page of measurements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Measurement'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Cursor of the next page, null on the last page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching measurements, only when includeTotal is true
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
  */
+router.get('/', authorize('measurements', 'read'), validate({ query: measurementListQuery }), async (req, res) => {
+  const filter = buildMeasurementFilter(req.query)
+  const { limit, order, cursor } = parsePagination(req.query)
+  const populate = parseBoolean(req.query.populate, 'populate', true)
+  const includeTotal = parseBoolean(req.query.includeTotal, 'includeTotal', false)
 
-// Apply authentication middleware to all routes
-router.use(authenticateToken)
+  const pageFilter = cursor ? { $and: [filter, afterCursor(cursor, order)] } : filter
+  const query = Measurement.find(pageFilter)
+    .sort({ observedAt: order, _id: order })
+    .limit(limit + 1)
+  if (populate) query.populate(STATION_POPULATE)
+
+  const measurements = await query
+  const hasMore = measurements.length > limit
+  const data = hasMore ? measurements.slice(0, limit) : measurements
+
+  const page = {
+    data,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], order) : null,
+  }
+  if (includeTotal) page.total = await Measurement.countDocuments(filter)
+
+  res.status(200).json(page)
+})
 
 /**
  * @swagger
- * /measurements:
+ * /measurements/stats:
  *   get:
- *     summary: Get all measurements
+ *     summary: Get measurement statistics per station, variable and time bucket
+ *     description: Allowed roles are admin, operator, viewer, user. Accepts the same filters as GET /measurements. Percentiles need MongoDB 7.0 or later. Data past the raw retention window is read from hourly and daily rollups, which have no minute buckets or percentiles.
  *     tags: [Measurements]
  *     security:
  *       - bearerAuth: []
@@ -41,30 +200,295 @@ router.use(authenticateToken)
  *         name: station_id
  *         schema:
  *           type: string
- *         description: Filter by station ID
+ *         description: Filter by station ID. Several IDs can be separated by commas.
+ *       - in: query
+ *         name: variable
+ *         schema:
+ *           type: string
+ *         description: Filter by variable. Several variables can be separated by commas.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only measurements observed at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only measurements observed before this time
+ *       - in: query
+ *         name: quality
+ *         schema:
+ *           type: string
+ *         description: Only measurements with these quality flags (good, suspect, bad), e.g. good to leave out flagged data. Several flags can be separated by commas.
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [minute, hour, day, month]
+ *           default: hour
+ *         description: Bucket size
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA timezone bucket boundaries are aligned to, e.g. America/Argentina/Cordoba
+ *       - in: query
+ *         name: percentiles
+ *         schema:
+ *           type: string
+ *         description: Comma separated percentiles between 0 and 100, e.g. 50,90,99
  *     responses:
  *       200:
- *         description: List of measurements
+ *         description: Statistics ordered by station, variable and bucket
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Measurement'
+ *                 type: object
+ *                 properties:
+ *                   station_id:
+ *                     type: string
+ *                   variable:
+ *                     type: string
+ *                   bucket:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Start of the bucket
+ *                   count:
+ *                     type: integer
+ *                   min:
+ *                     type: number
+ *                   max:
+ *                     type: number
+ *                   avg:
+ *                     type: number
+ *                   sum:
+ *                     type: number
+ *                   percentiles:
+ *                     type: object
+ *                     additionalProperties:
+ *                       type: number
+ *                     description: Requested percentiles keyed as p50, p90, ...
+ *       400:
+ *         description: Invalid query parameters, or too many buckets
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/stats', authorize('measurements', 'read'), validate({ query: measurementStatsQuery }), async (req, res) => {
+  const filter = buildMeasurementFilter(req.query)
+  const options = parseStatsOptions(req.query)
+
+  const stats = await measurementStats(filter, options)
+  res.status(200).json(stats)
+})
+
+/**
+ * @swagger
+ * /measurements/export:
+ *   get:
+ *     summary: Download measurements as CSV or NDJSON
+ *     description: Allowed roles are admin, operator, viewer, user. Accepts the same filters and sort as GET /measurements, without pagination. The file is streamed, so exports of any size are fine.
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *         description: File format
+ *       - in: query
+ *         name: station_id
+ *         schema:
+ *           type: string
+ *         description: Filter by station ID. Several IDs can be separated by commas.
+ *       - in: query
+ *         name: variable
+ *         schema:
+ *           type: string
+ *         description: Filter by variable. Several variables can be separated by commas.
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only measurements observed at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only measurements observed before this time
+ *       - in: query
+ *         name: quality
+ *         schema:
+ *           type: string
+ *         description: Only measurements with these quality flags (good, suspect, bad), e.g. good to leave out flagged data. Several flags can be separated by commas.
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *         description: Order by observation time
+ *     responses:
+ *       200:
+ *         description: Measurements file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
-  try {
-    const filter = {}
-    if (req.query.station_id) filter.station_id = req.query.station_id
-
-    const measurements = await Measurement.find(filter)
-      .populate('station_id')
-    res.status(200).json(measurements)
-  } catch (error) {
-    res.status(500).json({ error: error.message })
+router.get('/export', authorize('measurements', 'read'), validate({ query: measurementExportQuery }), async (req, res) => {
+  const format = req.query.format || 'csv'
+  const filter = buildMeasurementFilter(req.query)
+  const order = parseSort(req.query.sort)
+
+  const cursor = Measurement.find(filter)
+    .sort({ observedAt: order, _id: order })
+    .lean()
+    .cursor()
+
+  // Same fallback as the model's toJSON, lean documents skip it
+  const row = (doc) => ({ ...doc, observedAt: doc.observedAt || doc.createdAt })
+
+  if (format === 'csv') {
+    startDownload(res, 'text/csv; charset=utf-8', 'measurements.csv')
+    await streamCursor(res, cursor, {
+      head: csvRow(EXPORT_COLUMNS),
+      format: (doc) => {
+        const measurement = { ...row(doc), quality: doc.quality && doc.quality.flag }
+        return csvRow(EXPORT_COLUMNS.map((column) => measurement[column]))
+      },
+    })
+  } else {
+    startDownload(res, 'application/x-ndjson', 'measurements.ndjson')
+    await streamCursor(res, cursor, {
+      format: (doc) => `${JSON.stringify(row(doc))}\n`,
+    })
+  }
+})
+
+/**
+ * @swagger
+ * /measurements/stream:
+ *   get:
+ *     summary: Receive new measurements live as Server-Sent Events
+ *     description: Allowed roles are admin, operator, viewer, user. Sends a measurement event for every measurement stored from now on, on any API instance, and alert events when alerts is true. Each event has an id, reconnecting with it in the Last-Event-ID header resumes after that event. Browsers' EventSource cannot send headers, pass the access token as access_token instead. Needs MongoDB running as a replica set.
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: station_id
+ *         schema:
+ *           type: string
+ *         description: Only measurements (and alerts) of these stations. Several IDs can be separated by commas.
+ *       - in: query
+ *         name: variable
+ *         schema:
+ *           type: string
+ *         description: Only these variables. Several variables can be separated by commas.
+ *       - in: query
+ *         name: quality
+ *         schema:
+ *           type: string
+ *         description: Only measurements with these quality flags (good, suspect, bad). Several flags can be separated by commas.
+ *       - in: query
+ *         name: alerts
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also send alert events when alerts are triggered or change status
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, for clients that cannot send the Authorization header
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received, to resume after it
+ *     responses:
+ *       200:
+ *         description: Event stream with measurement, alert and error events
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters or Last-Event-ID
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/stream', authorize('measurements', 'read'), validate({ query: measurementStreamQuery }), (req, res) => {
+  const filter = buildMeasurementFilter({
+    station_id: req.query.station_id,
+    variable: req.query.variable,
+    quality: req.query.quality,
+  })
+  const includeAlerts = parseBoolean(req.query.alerts, 'alerts', false)
+  if (includeAlerts && !can(req.user.role, 'alerts', 'read')) {
+    throw forbidden()
   }
+
+  streamLive(res, { filter, includeAlerts, lastEventId: req.get('Last-Event-ID') })
+})
+
+/**
+ * @swagger
+ * /measurements/variables:
+ *   get:
+ *     summary: Get the registry of known variables and their units
+ *     description: Allowed roles are admin, operator, viewer, user.
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Known variables
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   unit:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/variables', authorize('measurements', 'read'), (req, res) => {
+  const variables = VARIABLE_NAMES.map((name) => ({ name, ...VARIABLES[name] }))
+  res.status(200).json(variables)
 })
 
 /**
@@ -72,6 +496,7 @@ router.get('/', async (req, res) => {
  * /measurements/{id}:
  *   get:
  *     summary: Get measurement by ID
+ *     description: Allowed roles are admin, operator, viewer, user.
  *     tags: [Measurements]
  *     security:
  *       - bearerAuth: []
@@ -82,6 +507,7 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Measurement ID
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Measurement found
@@ -89,22 +515,23 @@ router.get('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Measurement'
+ *       304:
+ *         description: Not modified, the ETag in If-None-Match is current
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Measurement not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
-  try {
-    const measurement = await Measurement.findById(req.params.id)
-      .populate('station_id')
-    if (!measurement) {
-      return res.status(404).json({ error: 'Measurement not found' })
-    }
-    res.status(200).json(measurement)
-  } catch (error) {
-    res.status(500).json({ error: error.message })
+router.get('/:id', authorize('measurements', 'read'), validate({ params: idParams }), async (req, res) => {
+  const measurement = await Measurement.findById(req.params.id)
+    .populate(STATION_POPULATE)
+  if (!measurement) {
+    throw notFound('Measurement not found')
   }
+  setEtag(res, measurement, [measurement.station_id])
+  res.status(200).json(measurement)
 })
 
 /**
@@ -112,9 +539,13 @@ router.get('/:id', async (req, res) => {
  * /measurements:
  *   post:
  *     summary: Create a new measurement
+ *     description: Allowed roles are admin, operator. The station must exist and not be archived or decommissioned. The reading is checked against the alert rules of the station. Station devices can authenticate with their API key instead, station_id then defaults to the key's station and may not name another one.
  *     tags: [Measurements]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -123,22 +554,131 @@ router.get('/:id', async (req, res) => {
  *             $ref: '#/components/schemas/Measurement'
  *     responses:
  *       201:
- *         description: Measurement created successfully
+ *         description: Measurement created successfully, or the stored response of an earlier request with the same Idempotency-Key (with the Idempotent-Replayed header)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Measurement'
- *       400:
+ *       403:
+ *         description: Insufficient permissions, or the API key belongs to another station
+ *       409:
+ *         description: The station already has a reading of the variable at this observedAt, or the Idempotency-Key was used for a different request or is still being processed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
  *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', authorize('measurements', 'create'), idempotency, fillDeviceStation, validate({ body: components.Measurement }), async (req, res) => {
+  const measurement = new Measurement(req.body)
+  await measurement.validate()
+  const stationError = await stationWriteError(measurement.station_id)
+  if (stationError) {
+    throw badRequest(stationError)
+  }
+  await assessQuality([measurement])
+
+  const saved = await measurement.save()
+  recordIngested([saved])
+  await recordAudit(req, { action: 'create', resource: 'measurement', resourceId: saved._id, after: saved })
+  await evaluateMeasurementsSafely([saved])
+  res.status(201).json(saved)
+})
+
+/**
+ * @swagger
+ * /measurements/bulk:
+ *   post:
+ *     summary: Create many measurements at once
+ *     description: Allowed roles are admin, operator. Station devices can use their API key, rows then default to the key's station. Every row is validated on its own and valid rows are inserted in batches, the report lists each rejected row by its zero-based index. CSV needs a header row. At most 10000 rows per request.
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: atomic
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Insert nothing unless every row is valid. Runs in a transaction, which needs a replica set.
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/Measurement'
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             description: One measurement JSON object per line
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               station_id,variable,value,observedAt
+ *               6630c0c2f1a4e5b3c2d1e0f9,temperature,21.4,2025-01-10T06:00:00Z
+ *     responses:
+ *       200:
+ *         description: Ingestion report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkReport'
+ *       400:
+ *         description: Invalid body, in atomic mode at least one rejected row (with the report), or atomic mode without transaction support in MongoDB
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: The Idempotency-Key was used for a different request or is still being processed
+ *       500:
+ *         description: Server error
+ * components:
+ *   schemas:
+ *     BulkReport:
+ *       type: object
+ *       properties:
+ *         received:
+ *           type: integer
+ *         inserted:
+ *           type: integer
+ *         rejected:
+ *           type: integer
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *                 description: Zero-based row index, not counting the CSV header
+ *               error:
+ *                 type: string
+ *               details:
+ *                 type: array
+ *                 description: Failing fields of the row
+ *                 items:
+ *                   $ref: '#/components/schemas/FieldError'
  */
-router.post('/', async (req, res) => {
-  try {
-    const measurement = new Measurement(req.body)
-    const saved = await measurement.save()
-    res.status(201).json(saved)
-  } catch (error) {
-    res.status(400).json({ error: error.message })
+router.post('/bulk', authorize('measurements', 'create'), idempotency, validate({ query: bulkQuery }), async (req, res) => {
+  const rows = parseBulkBody(req)
+  const atomic = parseBoolean(req.query.atomic, 'atomic', false)
+
+  const { report, inserted } = await ingestMeasurements(rows, { apiKey: req.apiKey, atomic })
+  if (inserted.length) {
+    recordIngested(inserted)
+    await recordCreates(req, 'measurement', inserted)
+    await evaluateMeasurementsSafely(inserted)
   }
+  res.status(atomic && report.rejected > 0 ? 400 : 200).json(report)
 })
 
 /**
@@ -146,6 +686,7 @@ router.post('/', async (req, res) => {
  * /measurements/{id}:
  *   put:
  *     summary: Update entire measurement
+ *     description: Requires the admin role.
  *     tags: [Measurements]
  *     security:
  *       - bearerAuth: []
@@ -156,6 +697,7 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Measurement ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -169,25 +711,46 @@ router.post('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Measurement'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Measurement not found
- *       400:
+ *       422:
  *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The measurement changed since the ETag in If-Match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', async (req, res) => {
-  try {
-    const measurement = await Measurement.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true, overwrite: true }
-    )
-    if (!measurement) {
-      return res.status(404).json({ error: 'Measurement not found' })
+router.put('/:id', authorize('measurements', 'update'), validate({ params: idParams, body: components.Measurement }), async (req, res) => {
+  const measurement = await Measurement.findById(req.params.id)
+  if (!measurement) {
+    throw notFound('Measurement not found')
+  }
+  checkIfMatch(req, measurement)
+
+  const before = measurement.toObject()
+  for (const field of REPLACEABLE_FIELDS) {
+    measurement.set(field, req.body[field])
+  }
+  if (measurement.isModified('station_id')) {
+    const stationError = await stationWriteError(measurement.station_id)
+    if (stationError) {
+      throw badRequest(stationError)
     }
-    res.status(200).json(measurement)
-  } catch (error) {
-    res.status(400).json({ error: error.message })
   }
+  await measurement.validate()
+  await assessQuality([measurement])
+  const saved = await measurement.save()
+  await recordAudit(req, { action: 'update', resource: 'measurement', resourceId: saved._id, before, after: saved })
+  setEtag(res, saved)
+  res.status(200).json(saved)
 })
 
 /**
@@ -195,6 +758,7 @@ router.put('/:id', async (req, res) => {
  * /measurements/{id}:
  *   patch:
  *     summary: Update measurement partially
+ *     description: Requires the admin role.
  *     tags: [Measurements]
  *     security:
  *       - bearerAuth: []
@@ -205,17 +769,13 @@ router.put('/:id', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Measurement ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               value:
- *                 type: number
- *               station_id:
- *                 type: string
+ *             $ref: '#/components/schemas/MeasurementPatch'
  *     responses:
  *       200:
  *         description: Measurement updated successfully
@@ -223,25 +783,176 @@ router.put('/:id', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Measurement'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Measurement not found
- *       400:
+ *       422:
  *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: The measurement changed since the ETag in If-Match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id', async (req, res) => {
-  try {
-    const measurement = await Measurement.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    )
-    if (!measurement) {
-      return res.status(404).json({ error: 'Measurement not found' })
+router.patch('/:id', authorize('measurements', 'update'), validate({ params: idParams, body: components.Measurement, partial: true }), async (req, res) => {
+  const measurement = await Measurement.findById(req.params.id)
+  if (!measurement) {
+    throw notFound('Measurement not found')
+  }
+  checkIfMatch(req, measurement)
+
+  const before = measurement.toObject()
+  measurement.set(req.body)
+  // A new variable without a unit takes the unit of the new variable
+  if (req.body.variable && !req.body.unit) measurement.unit = undefined
+  if (measurement.isModified('station_id')) {
+    const stationError = await stationWriteError(measurement.station_id)
+    if (stationError) {
+      throw badRequest(stationError)
     }
-    res.status(200).json(measurement)
-  } catch (error) {
-    res.status(400).json({ error: error.message })
   }
+  await measurement.validate()
+  await assessQuality([measurement])
+  const saved = await measurement.save()
+  await recordAudit(req, { action: 'update', resource: 'measurement', resourceId: saved._id, before, after: saved })
+  setEtag(res, saved)
+  res.status(200).json(saved)
+})
+
+/**
+ * @swagger
+ * /measurements/{id}/quality:
+ *   put:
+ *     summary: Override the quality flag of a measurement
+ *     description: Allowed roles are admin, operator. The automatic checks keep the flag until the override is removed.
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Measurement ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QualityOverride'
+ *     responses:
+ *       200:
+ *         description: Flag overridden
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Measurement'
+ *       422:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Measurement not found
+ *       412:
+ *         description: The measurement changed since the ETag in If-Match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/quality', authorize('measurements', 'flag'), validate({ params: idParams, body: components.QualityOverride }), async (req, res) => {
+  const measurement = await Measurement.findById(req.params.id)
+  if (!measurement) {
+    throw notFound('Measurement not found')
+  }
+  checkIfMatch(req, measurement)
+
+  const before = measurement.toObject()
+  measurement.quality = {
+    flag: req.body.flag,
+    reasons: measurement.quality ? measurement.quality.reasons : [],
+    manual: true,
+    note: req.body.note,
+    overriddenBy: req.user._id,
+    overriddenAt: new Date(),
+  }
+  // Only the flag changes, legacy rows may miss fields required today
+  const saved = await measurement.save({ validateModifiedOnly: true })
+  await recordAudit(req, { action: 'update', resource: 'measurement', resourceId: saved._id, before, after: saved })
+  setEtag(res, saved)
+  res.status(200).json(saved)
+})
+
+/**
+ * @swagger
+ * /measurements/{id}/quality:
+ *   delete:
+ *     summary: Remove the manual quality flag of a measurement
+ *     description: Allowed roles are admin, operator. The automatic checks run again and set the flag.
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Measurement ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Measurement with its automatic flag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Measurement'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Measurement not found
+ *       422:
+ *         description: The measurement cannot be checked, like a legacy reading without a variable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *       412:
+ *         description: The measurement changed since the ETag in If-Match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id/quality', authorize('measurements', 'flag'), validate({ params: idParams }), async (req, res) => {
+  const measurement = await Measurement.findById(req.params.id)
+  if (!measurement) {
+    throw notFound('Measurement not found')
+  }
+  checkIfMatch(req, measurement)
+
+  const before = measurement.toObject()
+  measurement.quality = {}
+  await measurement.validate()
+  await assessQuality([measurement])
+  const saved = await measurement.save()
+  await recordAudit(req, { action: 'update', resource: 'measurement', resourceId: saved._id, before, after: saved })
+  setEtag(res, saved)
+  res.status(200).json(saved)
 })
 
 /**
@@ -249,6 +960,7 @@ router.patch('/:id', async (req, res) => {
  * /measurements/{id}:
  *   delete:
  *     summary: Delete a measurement
+ *     description: Requires the admin role. The delete is soft, POST /measurements/{id}/restore undoes it.
  *     tags: [Measurements]
  *     security:
  *       - bearerAuth: []
@@ -259,24 +971,83 @@ router.patch('/:id', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Measurement ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Measurement deleted successfully
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Measurement not found
  *       500:
  *         description: Server error
+ *       412:
+ *         description: The measurement changed since the ETag in If-Match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', async (req, res) => {
-  try {
-    const measurement = await Measurement.findByIdAndDelete(req.params.id)
-    if (!measurement) {
-      return res.status(404).json({ error: 'Measurement not found' })
-    }
-    res.status(200).json({ message: 'Measurement deleted successfully' })
-  } catch (error) {
-    res.status(500).json({ error: error.message })
+router.delete('/:id', authorize('measurements', 'delete'), validate({ params: idParams }), async (req, res) => {
+  const measurement = await Measurement.findById(req.params.id)
+  if (!measurement) {
+    throw notFound('Measurement not found')
   }
+  checkIfMatch(req, measurement)
+
+  const before = measurement.toObject()
+  await measurement.softDelete(req.user._id)
+  await recordAudit(req, { action: 'delete', resource: 'measurement', resourceId: measurement._id, before, after: measurement })
+  res.status(200).json({ message: 'Measurement deleted successfully' })
+})
+
+/**
+ * @swagger
+ * /measurements/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted measurement
+ *     description: Requires the admin role. The station of the measurement must not be deleted, archived or decommissioned.
+ *     tags: [Measurements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Measurement ID
+ *     responses:
+ *       200:
+ *         description: Measurement restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Measurement'
+ *       400:
+ *         description: The station of the measurement is deleted, archived or decommissioned
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Deleted measurement not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/restore', authorize('measurements', 'delete'), validate({ params: idParams }), async (req, res) => {
+  const measurement = await Measurement.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+  if (!measurement) {
+    throw notFound('Deleted measurement not found')
+  }
+
+  const stationError = await stationWriteError(measurement.station_id)
+  if (stationError) {
+    throw badRequest(stationError)
+  }
+
+  const before = measurement.toObject()
+  const restored = await measurement.restore()
+  await recordAudit(req, { action: 'restore', resource: 'measurement', resourceId: restored._id, before, after: restored })
+  res.status(200).json(restored)
 })
 
-module.exports = router 
\ No newline at end of file
+module.exports = router
@@ -0,0 +1,57 @@
+const express = require('express')
+const router = express.Router()
+const crypto = require('crypto')
+const { renderMetrics } = require('../services/metrics')
+const { notFound, unauthorized } = require('../services/errors')
+
+const digest = (value) => crypto.createHash('sha256').update(value).digest()
+
+// Scrapers authenticate with METRICS_TOKEN as a bearer token. With
+// METRICS_PUBLIC=true no token is needed, without either the endpoint is off.
+const authorizeScrape = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN
+  if (!token) {
+    return process.env.METRICS_PUBLIC === 'true' ? next() : next(notFound(`Cannot ${req.method} ${req.path}`))
+  }
+
+  const header = req.get('Authorization') || ''
+  const given = header.startsWith('Bearer ') ? header.slice(7) : ''
+  if (!crypto.timingSafeEqual(digest(given), digest(token))) {
+    return next(unauthorized('Invalid metrics token'))
+  }
+  next()
+}
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Metrics in the Prometheus text format
+ *     description: Request counts and latencies by route and status, logins, measurements ingested per station, MongoDB command timings and process stats. Needs METRICS_TOKEN as a bearer token, or METRICS_PUBLIC=true.
+ *     tags: [Health]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Current metrics of this instance
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing or wrong metrics token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Metrics are not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/metrics', authorizeScrape, (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics())
+})
+
+module.exports = router
@@ -1,46 +1,54 @@
 const express = require('express')
 const router = express.Router()
 const Station = require('../models/station')
-const { authenticateToken } = require('../middleware/auth')
+const apiKeyRoutes = require('./apiKey')
+const maintenanceRoutes = require('./maintenance')
+const { authenticateToken, authorize } = require('../middleware/auth')
+const { badRequest, conflict, notFound } = require('../services/errors')
+const { csvRow, streamCursor, startDownload } = require('../services/export')
+const { buildStationFilter, nearPipeline } = require('../services/stationQuery')
+const { deletionImpact, deleteStation, restoreStation } = require('../services/stationIntegrity')
+const { recordAudit } = require('../services/audit')
+const { setEtag, checkIfMatch } = require('../services/etag')
+const validate = require('../middleware/validate')
+const rateLimit = require('../middleware/rateLimit')
+const { idParams } = require('../schemas/common')
+const { components, stationListQuery, stationExportQuery, stationDeleteQuery } = require('../schemas')
 
-/**
- * @swagger
- * components:
- *   schemas:
- *     Station:
- *       type: object
- *       required:
- *         - name
- *         - long
- *         - lat
- *         - type
- *         - code
- *       properties:
- *         name:
- *           type: string
- *           description: Station name
- *         long:
- *           type: number
- *           description: Longitude coordinate
- *         lat:
- *           type: number
- *           description: Latitude coordinate
- *         type:
- *           type: string
- *           description: Type of station
- *         code:
- *           type: string
- *           description: Unique station code
- */
+const EXPORT_COLUMNS = ['_id', 'code', 'name', 'type', 'status', 'long', 'lat', 'elevation', 'timezone', 'distance', 'createdAt', 'updatedAt']
+
+// Fields a PUT replaces, the rest are managed by the server
+const REPLACEABLE_FIELDS = ['name', 'long', 'lat', 'location', 'type', 'code', 'elevation', 'timezone', 'sensors']
+
+const toFeature = (station) => ({
+  type: 'Feature',
+  id: String(station._id),
+  geometry: { type: 'Point', coordinates: [station.long, station.lat] },
+  properties: {
+    name: station.name,
+    type: station.type,
+    code: station.code,
+    status: station.status,
+    elevation: station.elevation,
+    timezone: station.timezone,
+    distance: station.distance,
+    createdAt: station.createdAt,
+    updatedAt: station.updatedAt,
+  },
+})
 
-// Apply authentication middleware to all routes
-router.use(authenticateToken)
+// Apply authentication and rate limiting middleware to all routes
+router.use(authenticateToken, rateLimit)
+
+router.use('/:stationId/api-keys', apiKeyRoutes)
+router.use('/:stationId/maintenance', maintenanceRoutes)
 
 /**
  * @swagger
  * /stations:
  *   get:
  *     summary: Get all stations
+ *     description: Allowed roles are admin, operator, viewer, user.
  *     tags: [Stations]
  *     security:
  *       - bearerAuth: []
@@ -55,6 +63,37 @@ router.use(authenticateToken)
  *         schema:
  *           type: string
  *         description: Filter by station type
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status, comma separated for several (active, inactive, maintenance, decommissioned)
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: "Point as long,lat. Returns stations nearest first, with their distance in meters."
+ *       - in: query
+ *         name: maxDistance
+ *         schema:
+ *           type: number
+ *         description: With near, only stations within this many meters
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *         description: "Bounding box as minLong,minLat,maxLong,maxLat. minLong may be greater than maxLong for boxes crossing the antimeridian."
+ *       - in: query
+ *         name: polygon
+ *         schema:
+ *           type: string
+ *         description: "Polygon as long,lat;long,lat;... with at least 3 points. Returns stations inside it."
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return archived stations
  *     responses:
  *       200:
  *         description: List of stations
@@ -64,19 +103,123 @@ router.use(authenticateToken)
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Station'
+ *       400:
+ *         description: Invalid query parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authorize('stations', 'read'), validate({ query: stationListQuery }), async (req, res) => {
+  const { filter, near } = buildStationFilter(req.query)
+
+  const stations = near
+    ? await Station.aggregate(nearPipeline(filter, near))
+    : await Station.find(filter)
+  res.status(200).json(stations)
+})
+
+/**
+ * @swagger
+ * /stations/export:
+ *   get:
+ *     summary: Download stations as GeoJSON or CSV
+ *     description: Allowed roles are admin, operator, viewer, user. Accepts the same filters as GET /stations. GeoJSON is a FeatureCollection of points, ready for GIS tools.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [geojson, csv]
+ *           default: geojson
+ *         description: File format
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Filter by station name
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by station type
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status, comma separated for several
+ *       - in: query
+ *         name: near
+ *         schema:
+ *           type: string
+ *         description: "Point as long,lat. Returns stations nearest first, with their distance in meters."
+ *       - in: query
+ *         name: maxDistance
+ *         schema:
+ *           type: number
+ *         description: With near, only stations within this many meters
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *         description: "Bounding box as minLong,minLat,maxLong,maxLat. minLong may be greater than maxLong for boxes crossing the antimeridian."
+ *       - in: query
+ *         name: polygon
+ *         schema:
+ *           type: string
+ *         description: "Polygon as long,lat;long,lat;... with at least 3 points. Returns stations inside it."
+ *       - in: query
+ *         name: includeArchived
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Also return archived stations
+ *     responses:
+ *       200:
+ *         description: Stations file
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid format or query parameters
+ *       403:
+ *         description: Insufficient permissions
  *       500:
  *         description: Server error
  */
-router.get('/', async (req, res) => {
-  try {
-    const filter = {}
-    if (req.query.name) filter.name = req.query.name
-    if (req.query.type) filter.type = req.query.type
+router.get('/export', authorize('stations', 'read'), validate({ query: stationExportQuery }), async (req, res) => {
+  const format = req.query.format || 'geojson'
+
+  const { filter, near } = buildStationFilter(req.query)
+
+  const cursor = near
+    ? Station.aggregate(nearPipeline(filter, near)).cursor()
+    : Station.find(filter).sort({ code: 1 }).lean().cursor()
 
-    const stations = await Station.find(filter)
-    res.status(200).json(stations)
-  } catch (error) {
-    res.status(500).json({ error: error.message })
+  if (format === 'csv') {
+    startDownload(res, 'text/csv; charset=utf-8', 'stations.csv')
+    await streamCursor(res, cursor, {
+      head: csvRow(EXPORT_COLUMNS),
+      format: (station) => csvRow(EXPORT_COLUMNS.map((column) => station[column])),
+    })
+  } else {
+    startDownload(res, 'application/geo+json', 'stations.geojson')
+    await streamCursor(res, cursor, {
+      head: '{"type":"FeatureCollection","features":[',
+      tail: ']}',
+      format: (station, index) => `${index ? ',' : ''}${JSON.stringify(toFeature(station))}`,
+    })
   }
 })
 
@@ -85,6 +228,7 @@ router.get('/', async (req, res) => {
  * /stations/{id}:
  *   get:
  *     summary: Get station by ID
+ *     description: Allowed roles are admin, operator, viewer, user.
  *     tags: [Stations]
  *     security:
  *       - bearerAuth: []
@@ -95,6 +239,7 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Station ID
+ *       - $ref: '#/components/parameters/IfNoneMatch'
  *     responses:
  *       200:
  *         description: Station found
@@ -102,21 +247,22 @@ router.get('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Station'
+ *       304:
+ *         description: Not modified, the ETag in If-None-Match is current
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Station not found
  *       500:
  *         description: Server error
  */
-router.get('/:id', async (req, res) => {
-  try {
-    const station = await Station.findById(req.params.id)
-    if (!station) {
-      return res.status(404).json({ error: 'Station not found' })
-    }
-    res.status(200).json(station)
-  } catch (error) {
-    res.status(500).json({ error: error.message })
+router.get('/:id', authorize('stations', 'read'), validate({ params: idParams }), async (req, res) => {
+  const station = await Station.findById(req.params.id)
+  if (!station) {
+    throw notFound('Station not found')
   }
+  setEtag(res, station)
+  res.status(200).json(station)
 })
 
 /**
@@ -124,6 +270,7 @@ router.get('/:id', async (req, res) => {
  * /stations:
  *   post:
  *     summary: Create a new station
+ *     description: Requires the admin role.
  *     tags: [Stations]
  *     security:
  *       - bearerAuth: []
@@ -140,17 +287,22 @@ router.get('/:id', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Station'
- *       400:
+ *       403:
+ *         description: Insufficient permissions
+ *       422:
  *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another station has the same code
  */
-router.post('/', async (req, res) => {
-  try {
-    const station = new Station(req.body)
-    const saved = await station.save()
-    res.status(201).json(saved)
-  } catch (error) {
-    res.status(400).json({ error: error.message })
-  }
+router.post('/', authorize('stations', 'create'), validate({ body: components.Station }), async (req, res) => {
+  const station = new Station(req.body)
+  const saved = await station.save()
+  await recordAudit(req, { action: 'create', resource: 'station', resourceId: saved._id, after: saved })
+  res.status(201).json(saved)
 })
 
 /**
@@ -158,6 +310,7 @@ router.post('/', async (req, res) => {
  * /stations/{id}:
  *   put:
  *     summary: Update entire station
+ *     description: Requires the admin role.
  *     tags: [Stations]
  *     security:
  *       - bearerAuth: []
@@ -168,6 +321,7 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Station ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
@@ -181,25 +335,40 @@ router.post('/', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Station'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Station not found
- *       400:
+ *       422:
  *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another station has the same code
+ *       412:
+ *         description: The station changed since the ETag in If-Match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.put('/:id', async (req, res) => {
-  try {
-    const station = await Station.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true, overwrite: true }
-    )
-    if (!station) {
-      return res.status(404).json({ error: 'Station not found' })
-    }
-    res.status(200).json(station)
-  } catch (error) {
-    res.status(400).json({ error: error.message })
+router.put('/:id', authorize('stations', 'update'), validate({ params: idParams, body: components.Station }), async (req, res) => {
+  const station = await Station.findById(req.params.id)
+  if (!station) {
+    throw notFound('Station not found')
   }
+  checkIfMatch(req, station)
+
+  const before = station.toObject()
+  for (const field of REPLACEABLE_FIELDS) {
+    station.set(field, req.body[field])
+  }
+  const saved = await station.save()
+  await recordAudit(req, { action: 'update', resource: 'station', resourceId: saved._id, before, after: saved })
+  setEtag(res, saved)
+  res.status(200).json(saved)
 })
 
 /**
@@ -207,6 +376,7 @@ router.put('/:id', async (req, res) => {
  * /stations/{id}:
  *   patch:
  *     summary: Update station partially
+ *     description: Requires the admin role.
  *     tags: [Stations]
  *     security:
  *       - bearerAuth: []
@@ -217,23 +387,13 @@ router.put('/:id', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Station ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               long:
- *                 type: number
- *               lat:
- *                 type: number
- *               type:
- *                 type: string
- *               code:
- *                 type: string
+ *             $ref: '#/components/schemas/StationPatch'
  *     responses:
  *       200:
  *         description: Station updated successfully
@@ -241,25 +401,158 @@ router.put('/:id', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Station'
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Station not found
+ *       422:
+ *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another station has the same code
+ *       412:
+ *         description: The station changed since the ETag in If-Match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id', authorize('stations', 'update'), validate({ params: idParams, body: components.Station, partial: true }), async (req, res) => {
+  const station = await Station.findById(req.params.id)
+  if (!station) {
+    throw notFound('Station not found')
+  }
+  checkIfMatch(req, station)
+
+  const before = station.toObject()
+  station.set(req.body)
+  const saved = await station.save()
+  await recordAudit(req, { action: 'update', resource: 'station', resourceId: saved._id, before, after: saved })
+  setEtag(res, saved)
+  res.status(200).json(saved)
+})
+
+/**
+ * @swagger
+ * /stations/{id}/status:
+ *   put:
+ *     summary: Change the status of a station
+ *     description: Requires the admin or operator role. The change is added to the status history. Measurements of decommissioned stations are rejected, readings taken in maintenance are flagged suspect.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StationStatusUpdate'
+ *     responses:
+ *       200:
+ *         description: Status changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Station'
  *       400:
+ *         description: The station already has this status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Station not found
+ *       412:
+ *         description: The station changed since the ETag in If-Match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
  *         description: Invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/status', authorize('stations', 'status'), validate({ params: idParams, body: components.StationStatusUpdate }), async (req, res) => {
+  const station = await Station.findById(req.params.id)
+  if (!station) {
+    throw notFound('Station not found')
+  }
+  checkIfMatch(req, station)
+  // Stations stored before statuses existed are active
+  if ((station.status || 'active') === req.body.status) {
+    throw badRequest(`Station is already ${req.body.status}`)
+  }
+
+  const before = station.toObject()
+  station.changeStatus(req.body.status, { userId: req.user._id, reason: req.body.reason })
+  const saved = await station.save()
+  await recordAudit(req, { action: 'update', resource: 'station', resourceId: saved._id, before, after: saved })
+  setEtag(res, saved)
+  res.status(200).json(saved)
+})
+
+/**
+ * @swagger
+ * /stations/{id}/deletion-impact:
+ *   get:
+ *     summary: Report what each delete policy would do to a station's data
+ *     description: Requires the admin role.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *     responses:
+ *       200:
+ *         description: Deletion impact
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 measurements:
+ *                   type: integer
+ *                   description: Measurements of the station
+ *                 apiKeys:
+ *                   type: integer
+ *                   description: Active API keys of the station
+ *                 policies:
+ *                   type: object
+ *                   description: For restrict, cascade and archive, whether the policy is allowed and how many measurements it deletes
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Station not found
+ *       500:
+ *         description: Server error
  */
-router.patch('/:id', async (req, res) => {
-  try {
-    const station = await Station.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    )
-    if (!station) {
-      return res.status(404).json({ error: 'Station not found' })
-    }
-    res.status(200).json(station)
-  } catch (error) {
-    res.status(400).json({ error: error.message })
+router.get('/:id/deletion-impact', authorize('stations', 'delete'), validate({ params: idParams }), async (req, res) => {
+  const station = await Station.findById(req.params.id)
+  if (!station) {
+    throw notFound('Station not found')
   }
+  res.status(200).json(await deletionImpact(station))
 })
 
 /**
@@ -267,6 +560,7 @@ router.patch('/:id', async (req, res) => {
  * /stations/{id}:
  *   delete:
  *     summary: Delete a station
+ *     description: Requires the admin role. The policy decides what happens to the station's measurements, see GET /stations/{id}/deletion-impact. Deletes are soft and can be undone with POST /stations/{id}/restore. The API keys of the station are revoked with every policy.
  *     tags: [Stations]
  *     security:
  *       - bearerAuth: []
@@ -277,24 +571,125 @@ router.patch('/:id', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Station ID
+ *       - in: query
+ *         name: policy
+ *         schema:
+ *           type: string
+ *           enum: [restrict, cascade, archive]
+ *           default: restrict
+ *         description: restrict refuses while the station has measurements, cascade deletes them too, archive keeps the station and its measurements but hides it from lists and refuses new measurements
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
- *         description: Station deleted successfully
+ *         description: Station deleted or archived successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 deleted:
+ *                   type: boolean
+ *                 archived:
+ *                   type: boolean
+ *                 measurementsDeleted:
+ *                   type: integer
+ *       400:
+ *         description: Unknown policy
+ *       403:
+ *         description: Insufficient permissions
  *       404:
  *         description: Station not found
+ *       409:
+ *         description: The station has measurements and the policy is restrict
  *       500:
  *         description: Server error
+ *       412:
+ *         description: The station changed since the ETag in If-Match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.delete('/:id', async (req, res) => {
-  try {
-    const station = await Station.findByIdAndDelete(req.params.id)
-    if (!station) {
-      return res.status(404).json({ error: 'Station not found' })
-    }
-    res.status(200).json({ message: 'Station deleted successfully' })
-  } catch (error) {
-    res.status(500).json({ error: error.message })
+router.delete('/:id', authorize('stations', 'delete'), validate({ params: idParams, query: stationDeleteQuery }), async (req, res) => {
+  const policy = req.query.policy || 'restrict'
+
+  const station = await Station.findById(req.params.id)
+  if (!station) {
+    throw notFound('Station not found')
+  }
+  checkIfMatch(req, station)
+
+  const before = station.toObject()
+  const result = await deleteStation(station, policy, req.user._id)
+  if (!result) {
+    throw conflict('Station has measurements, delete with policy cascade or archive')
   }
+  await recordAudit(req, {
+    action: result.archived ? 'archive' : 'delete',
+    resource: 'station',
+    resourceId: station._id,
+    before,
+    after: station,
+    details: { policy, measurementsDeleted: result.measurementsDeleted },
+  })
+  const message = result.archived ? 'Station archived successfully' : 'Station deleted successfully'
+  res.status(200).json({ message, ...result })
+})
+
+/**
+ * @swagger
+ * /stations/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted station
+ *     description: Requires the admin role. Measurements deleted together with the station (policy cascade) are restored too. Revoked API keys stay revoked.
+ *     tags: [Stations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Station ID
+ *     responses:
+ *       200:
+ *         description: Station restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 station:
+ *                   $ref: '#/components/schemas/Station'
+ *                 measurementsRestored:
+ *                   type: integer
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Deleted station not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/restore', authorize('stations', 'delete'), validate({ params: idParams }), async (req, res) => {
+  const station = await Station.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+  if (!station) {
+    throw notFound('Deleted station not found')
+  }
+
+  const before = station.toObject()
+  const measurementsRestored = await restoreStation(station)
+  await recordAudit(req, {
+    action: 'restore',
+    resource: 'station',
+    resourceId: station._id,
+    before,
+    after: station,
+    details: { measurementsRestored },
+  })
+  res.status(200).json({ station, measurementsRestored })
 })
 
 module.exports = router 
\ No newline at end of file
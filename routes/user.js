@@ -0,0 +1,503 @@
+const express = require('express')
+const router = express.Router()
+const bcrypt = require('bcryptjs')
+const User = require('../models/user')
+const Session = require('../models/session')
+const { ROLES } = require('../config/permissions')
+const { authenticateToken, authorize, revokeUserSessions } = require('../middleware/auth')
+const { badRequest, notFound, unauthorized } = require('../services/errors')
+const { unlockAccount } = require('../services/loginThrottle')
+
+const MIN_PASSWORD_LENGTH = 8
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: User ID
+ *         username:
+ *           type: string
+ *           description: Unique username
+ *         role:
+ *           type: string
+ *           enum: [admin, operator, viewer, user]
+ *           description: User role
+ *         disabled:
+ *           type: boolean
+ *           description: Whether the user is blocked from logging in
+ *         failedLoginAttempts:
+ *           type: integer
+ *           description: Failed logins in the current window, reset by a successful login
+ *         lastFailedLoginAt:
+ *           type: string
+ *           format: date-time
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: Logins are refused until then after too many failures
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken)
+
+/**
+ * @swagger
+ * /users/me:
+ *   get:
+ *     summary: Get the profile of the logged in user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ */
+router.get('/me', async (req, res) => {
+  res.status(200).json(req.user)
+})
+
+/**
+ * @swagger
+ * /users/me/password:
+ *   put:
+ *     summary: Change the password of the logged in user
+ *     description: All other sessions of the user are revoked.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.put('/me/password', async (req, res) => {
+  const { currentPassword, newPassword } = req.body
+  if (typeof currentPassword !== 'string' || typeof newPassword !== 'string' || !currentPassword || !newPassword) {
+    throw badRequest('currentPassword and newPassword are required')
+  }
+  if (newPassword.length < MIN_PASSWORD_LENGTH) {
+    throw badRequest(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+  }
+  if (!(await bcrypt.compare(currentPassword, req.user.password))) {
+    throw unauthorized('Current password is incorrect')
+  }
+
+  req.user.password = newPassword
+  await req.user.save()
+  await revokeUserSessions(req.user._id, req.authSession._id)
+  res.status(200).json({ message: 'Password changed successfully' })
+})
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: Get all users
+ *     description: Requires the admin role.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *         description: Filter by role
+ *       - in: query
+ *         name: disabled
+ *         schema:
+ *           type: boolean
+ *         description: Filter by disabled state
+ *     responses:
+ *       200:
+ *         description: List of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/', authorize('users', 'read'), async (req, res) => {
+  const filter = {}
+  if (req.query.role) filter.role = req.query.role
+  if (req.query.disabled !== undefined) filter.disabled = req.query.disabled === 'true'
+
+  const users = await User.find(filter)
+  res.status(200).json(users)
+})
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   get:
+ *     summary: Get user by ID
+ *     description: Requires the admin role.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/:id', authorize('users', 'read'), async (req, res) => {
+  const user = await User.findById(req.params.id)
+  if (!user) {
+    throw notFound('User not found')
+  }
+  res.status(200).json(user)
+})
+
+/**
+ * @swagger
+ * /users:
+ *   post:
+ *     summary: Create a new user
+ *     description: Requires the admin role.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - password
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               role:
+ *                 type: string
+ *                 enum: [admin, operator, viewer, user]
+ *                 default: viewer
+ *     responses:
+ *       201:
+ *         description: User created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Insufficient permissions
+ *       400:
+ *         description: Invalid input
+ */
+router.post('/', authorize('users', 'create'), async (req, res) => {
+  const { username, password, role } = req.body
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw badRequest(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`)
+  }
+
+  const user = new User({ username, password, role })
+  const saved = await user.save()
+  res.status(201).json(saved)
+})
+
+/**
+ * @swagger
+ * /users/{id}/role:
+ *   put:
+ *     summary: Change the role of a user
+ *     description: Requires the admin role. Admins cannot change their own role.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, operator, viewer, user]
+ *     responses:
+ *       200:
+ *         description: Role changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       400:
+ *         description: Invalid input
+ */
+router.put('/:id/role', authorize('users', 'update'), async (req, res) => {
+  if (!ROLES.includes(req.body.role)) {
+    throw badRequest(`Role must be one of: ${ROLES.join(', ')}`)
+  }
+  if (req.user._id.equals(req.params.id)) {
+    throw badRequest('You cannot change your own role')
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { role: req.body.role },
+    { new: true, runValidators: true }
+  )
+  if (!user) {
+    throw notFound('User not found')
+  }
+  res.status(200).json(user)
+})
+
+/**
+ * @swagger
+ * /users/{id}/disabled:
+ *   put:
+ *     summary: Disable or enable a user
+ *     description: Requires the admin role. Disabling a user revokes all of their sessions. Admins cannot disable themselves.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - disabled
+ *             properties:
+ *               disabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: User updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       400:
+ *         description: Invalid input
+ */
+router.put('/:id/disabled', authorize('users', 'update'), async (req, res) => {
+  if (typeof req.body.disabled !== 'boolean') {
+    throw badRequest('disabled must be a boolean')
+  }
+  if (req.user._id.equals(req.params.id)) {
+    throw badRequest('You cannot disable yourself')
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { disabled: req.body.disabled },
+    { new: true, runValidators: true }
+  )
+  if (!user) {
+    throw notFound('User not found')
+  }
+  if (user.disabled) await revokeUserSessions(user._id)
+  res.status(200).json(user)
+})
+
+/**
+ * @swagger
+ * /users/{id}/sessions/revoke:
+ *   post:
+ *     summary: Revoke every session of a user
+ *     description: Requires the admin role. Access and refresh tokens of the user stop working immediately.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 revoked:
+ *                   type: integer
+ *                   description: Number of sessions revoked
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/sessions/revoke', authorize('users', 'update'), async (req, res) => {
+  const user = await User.findById(req.params.id)
+  if (!user) {
+    throw notFound('User not found')
+  }
+
+  const revoked = await revokeUserSessions(user._id)
+  res.status(200).json({ revoked })
+})
+
+/**
+ * @swagger
+ * /users/{id}/unlock:
+ *   post:
+ *     summary: Lift the lockout after failed logins
+ *     description: Requires the admin role. Clears lockedUntil and the failed login count.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/:id/unlock', authorize('users', 'update'), async (req, res) => {
+  const user = await User.findById(req.params.id)
+  if (!user) {
+    throw notFound('User not found')
+  }
+
+  res.status(200).json(await unlockAccount(user))
+})
+
+/**
+ * @swagger
+ * /users/{id}:
+ *   delete:
+ *     summary: Delete a user
+ *     description: Requires the admin role. Admins cannot delete themselves.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *       400:
+ *         description: Cannot delete yourself
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/:id', authorize('users', 'delete'), async (req, res) => {
+  if (req.user._id.equals(req.params.id)) {
+    throw badRequest('You cannot delete yourself')
+  }
+
+  const user = await User.findByIdAndDelete(req.params.id)
+  if (!user) {
+    throw notFound('User not found')
+  }
+  await Session.deleteMany({ user_id: user._id })
+  res.status(200).json({ message: 'User deleted successfully' })
+})
+
+module.exports = router
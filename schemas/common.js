@@ -0,0 +1,54 @@
+// Building blocks shared by the request and component schemas
+
+const objectId = (description) => ({
+  type: 'string',
+  pattern: '^[0-9a-fA-F]{24}$',
+  'x-pattern-message': 'must be a valid ID',
+  description,
+})
+
+const dateTime = (description, extra = {}) => ({ type: 'string', format: 'date-time', description, ...extra })
+
+const readOnly = (schema) => ({ ...schema, readOnly: true })
+
+// _id, version, createdAt and updatedAt of every stored document
+const documentFields = (idDescription) => ({
+  _id: readOnly(objectId(idDescription)),
+  version: readOnly({ type: 'integer', description: 'Bumped by every change, sent as the ETag header' }),
+  createdAt: readOnly(dateTime('When the document was created')),
+  updatedAt: readOnly(dateTime('When the document was last changed')),
+})
+
+const queryObject = (properties) => ({ type: 'object', properties })
+
+const FieldError = {
+  type: 'object',
+  properties: {
+    field: { type: 'string', description: 'Failing field, e.g. body.value or query.limit' },
+    message: { type: 'string' },
+  },
+}
+
+// Envelope of every error response, see middleware/errorHandler.js
+const ErrorResponse = {
+  type: 'object',
+  properties: {
+    code: { type: 'string', description: 'Machine readable error code, e.g. validation_failed or not_found' },
+    message: { type: 'string' },
+    details: { type: 'array', nullable: true, items: FieldError, description: 'Failing fields, when the input was invalid' },
+    requestId: { type: 'string', description: 'ID of the request, also sent in the X-Request-Id header' },
+  },
+}
+
+// Path parameters of routes addressing one document
+const idParams = queryObject({ id: objectId('Document ID') })
+
+module.exports = {
+  components: { FieldError, Error: ErrorResponse },
+  objectId,
+  dateTime,
+  readOnly,
+  documentFields,
+  queryObject,
+  idParams
+}
@@ -0,0 +1,24 @@
+const { partialSchema } = require('../services/validation')
+const common = require('./common')
+const station = require('./station')
+const measurement = require('./measurement')
+
+// Request schemas double as the Swagger components, see swagger/swagger.js.
+// Station, Measurement and MaintenanceVisit also get a <Name>Patch variant for
+// PATCH bodies.
+const schemas = {
+  ...common.components,
+  ...station.components,
+  ...measurement.components,
+}
+
+const components = { ...schemas }
+for (const name of ['Station', 'Measurement', 'MaintenanceVisit']) {
+  components[`${name}Patch`] = partialSchema(schemas[name])
+}
+
+module.exports = {
+  ...station,
+  ...measurement,
+  components
+}
@@ -0,0 +1,105 @@
+const { VARIABLE_NAMES } = require('../config/variables')
+const { QUALITY_FLAGS } = require('../models/measurement')
+const { MAX_LIMIT } = require('../services/measurementQuery')
+const { INTERVALS } = require('../services/measurementStats')
+const { objectId, dateTime, readOnly, documentFields, queryObject } = require('./common')
+
+const Quality = {
+  type: 'object',
+  description: 'Result of the automatic quality checks, run whenever a measurement is stored or changed',
+  properties: {
+    flag: {
+      type: 'string',
+      enum: QUALITY_FLAGS,
+      description: 'Values outside the physical range of the variable are bad, other failed checks make a value suspect',
+    },
+    reasons: {
+      type: 'array',
+      items: { type: 'string', enum: ['out_of_range', 'step', 'spike', 'stuck', 'maintenance'] },
+      description: 'Failed checks',
+    },
+    manual: { type: 'boolean', description: 'Whether the flag was set by an operator, the automatic checks then leave it alone' },
+    note: { type: 'string', description: "Operator's reason for the manual flag" },
+    overriddenBy: objectId('ID of the user who set the manual flag'),
+    overriddenAt: dateTime('When the manual flag was set'),
+  },
+}
+
+const Measurement = {
+  type: 'object',
+  required: ['value', 'station_id', 'variable'],
+  properties: {
+    ...documentFields('Measurement ID'),
+    value: { type: 'number', description: 'Measurement value, in the unit of the variable' },
+    station_id: objectId('ID of the station where measurement was taken'),
+    variable: { type: 'string', enum: VARIABLE_NAMES, description: 'Measured variable, see GET /measurements/variables' },
+    unit: { type: 'string', description: 'Unit of the value. Defaults to the registry unit of the variable, any other unit is rejected.' },
+    observedAt: dateTime('When the reading was taken. Defaults to the time it is stored. Older measurements without it report createdAt.'),
+    quality: readOnly(Quality),
+    deletedAt: readOnly(dateTime('Set while the measurement is deleted, deleted measurements are hidden')),
+    deletedBy: readOnly(objectId('ID of the user who deleted the measurement')),
+  },
+}
+
+const QualityOverride = {
+  type: 'object',
+  required: ['flag'],
+  properties: {
+    flag: { type: 'string', enum: QUALITY_FLAGS },
+    note: { type: 'string', maxLength: 500, description: 'Why the flag was changed, e.g. sensor replaced on site' },
+  },
+}
+
+// Query parameters shared by every endpoint that reads measurements
+const measurementFilters = {
+  station_id: { type: 'string' },
+  variable: { type: 'string' },
+  from: dateTime(),
+  to: dateTime(),
+  quality: { type: 'string' },
+}
+
+const sort = { type: 'string', enum: ['asc', 'desc'] }
+
+const measurementListQuery = queryObject({
+  ...measurementFilters,
+  sort,
+  limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT },
+  cursor: { type: 'string' },
+  populate: { type: 'boolean' },
+  includeTotal: { type: 'boolean' },
+})
+
+const measurementStatsQuery = queryObject({
+  ...measurementFilters,
+  interval: { type: 'string', enum: INTERVALS },
+  timezone: { type: 'string' },
+  percentiles: { type: 'string' },
+})
+
+const measurementExportQuery = queryObject({
+  ...measurementFilters,
+  sort,
+  format: { type: 'string', enum: ['csv', 'ndjson'] },
+})
+
+const measurementStreamQuery = queryObject({
+  station_id: measurementFilters.station_id,
+  variable: measurementFilters.variable,
+  quality: measurementFilters.quality,
+  alerts: { type: 'boolean' },
+  access_token: { type: 'string' },
+})
+
+const bulkQuery = queryObject({
+  atomic: { type: 'boolean' },
+})
+
+module.exports = {
+  components: { Measurement, Quality, QualityOverride },
+  measurementListQuery,
+  measurementStatsQuery,
+  measurementExportQuery,
+  measurementStreamQuery,
+  bulkQuery
+}
@@ -0,0 +1,127 @@
+const { VARIABLE_NAMES } = require('../config/variables')
+const { STATUSES } = require('../models/station')
+const { KINDS } = require('../models/maintenanceVisit')
+const { DELETE_POLICIES } = require('../services/stationIntegrity')
+const { objectId, dateTime, readOnly, documentFields, queryObject } = require('./common')
+
+const Sensor = {
+  type: 'object',
+  required: ['model', 'serial'],
+  properties: {
+    _id: readOnly(objectId('Sensor ID')),
+    variable: { type: 'string', enum: VARIABLE_NAMES, description: 'Variable the sensor measures' },
+    model: { type: 'string', minLength: 1, description: 'Manufacturer and model' },
+    serial: { type: 'string', minLength: 1, description: 'Serial number' },
+    installedAt: dateTime('When the sensor was installed at the station'),
+    calibratedAt: dateTime('Date of the last calibration'),
+  },
+}
+
+const StatusChange = {
+  type: 'object',
+  properties: {
+    status: { type: 'string', enum: STATUSES },
+    changedAt: dateTime(),
+    changedBy: objectId('ID of the user who changed the status'),
+    reason: { type: 'string' },
+  },
+}
+
+const Station = {
+  type: 'object',
+  required: ['name', 'type', 'code'],
+  description: 'long and lat are required, unless location is given instead',
+  properties: {
+    ...documentFields('Station ID'),
+    name: { type: 'string', minLength: 1, description: 'Station name' },
+    long: { type: 'number', minimum: -180, maximum: 180, description: 'Longitude coordinate' },
+    lat: { type: 'number', minimum: -90, maximum: 90, description: 'Latitude coordinate' },
+    location: {
+      type: 'object',
+      description: 'GeoJSON point kept in sync with long/lat. Accepted instead of long/lat on writes.',
+      required: ['type', 'coordinates'],
+      properties: {
+        type: { type: 'string', enum: ['Point'] },
+        coordinates: {
+          type: 'array',
+          minItems: 2,
+          items: { type: 'number' },
+          description: '[long, lat]',
+        },
+      },
+    },
+    distance: readOnly({ type: 'number', description: 'Distance in meters to the near point, only in near searches' }),
+    type: { type: 'string', minLength: 1, description: 'Type of station' },
+    code: { type: 'string', minLength: 1, description: 'Unique station code' },
+    elevation: { type: 'number', description: 'Height above sea level in meters' },
+    timezone: { type: 'string', minLength: 1, description: 'IANA time zone of the site, e.g. Europe/Berlin. Defaults to UTC.' },
+    status: readOnly({ type: 'string', enum: STATUSES, description: 'Operational status, changed with PUT /stations/{id}/status' }),
+    statusHistory: readOnly({ type: 'array', items: StatusChange, description: 'Every status change, oldest first' }),
+    sensors: { type: 'array', items: Sensor, description: 'Installed sensors, replaced as a whole on writes' },
+    archivedAt: readOnly(dateTime('When the station was archived, archived stations take no new measurements')),
+    deletedAt: readOnly(dateTime('Set while the station is deleted, deleted stations are hidden')),
+    deletedBy: readOnly(objectId('ID of the user who deleted the station')),
+  },
+}
+
+const StationStatusUpdate = {
+  type: 'object',
+  required: ['status'],
+  properties: {
+    status: { type: 'string', enum: STATUSES },
+    reason: { type: 'string', maxLength: 500, description: 'Why the status changed, kept in the history' },
+  },
+}
+
+const MaintenanceVisit = {
+  type: 'object',
+  required: ['kind', 'startedAt'],
+  properties: {
+    _id: readOnly(objectId('Maintenance visit ID')),
+    station_id: readOnly(objectId('ID of the station visited')),
+    kind: { type: 'string', enum: KINDS, description: 'What was done' },
+    startedAt: dateTime('Start of the visit'),
+    endedAt: dateTime('End of the visit, leave it out while the visit goes on', { nullable: true }),
+    technician: { type: 'string', description: 'Who did the work' },
+    notes: { type: 'string', maxLength: 5000 },
+    sensors: { type: 'array', items: { type: 'string' }, description: 'Serials of the sensors worked on' },
+    createdBy: readOnly(objectId('ID of the user who logged the visit')),
+    createdAt: readOnly(dateTime()),
+    updatedAt: readOnly(dateTime()),
+  },
+}
+
+const stationFilters = {
+  name: { type: 'string' },
+  type: { type: 'string' },
+  status: { type: 'string' },
+  near: { type: 'string' },
+  maxDistance: { type: 'number', minimum: 0 },
+  bbox: { type: 'string' },
+  polygon: { type: 'string' },
+  includeArchived: { type: 'boolean' },
+}
+
+const stationListQuery = queryObject(stationFilters)
+
+const stationExportQuery = queryObject({
+  ...stationFilters,
+  format: { type: 'string', enum: ['geojson', 'csv'] },
+})
+
+const stationDeleteQuery = queryObject({
+  policy: { type: 'string', enum: DELETE_POLICIES },
+})
+
+const maintenanceListQuery = queryObject({
+  from: dateTime(),
+  to: dateTime(),
+})
+
+module.exports = {
+  components: { Station, Sensor, StatusChange, StationStatusUpdate, MaintenanceVisit },
+  maintenanceListQuery,
+  stationListQuery,
+  stationExportQuery,
+  stationDeleteQuery
+}
@@ -0,0 +1,247 @@
+const Alert = require('../models/alert')
+const AlertRule = require('../models/alertRule')
+const Station = require('../models/station')
+const Measurement = require('../models/measurement')
+const { logger } = require('./logger')
+
+// Alerts still waiting for someone
+const ACTIVE = ['open', 'acknowledged']
+
+const queueDeliveries = (alert, rule, event) => {
+  for (const url of rule.webhooks) {
+    alert.deliveries.push({ url, event })
+  }
+}
+
+// Open an alert for the rule and station, or count `occurrences` more on
+// the one already active. A unique index allows one active alert per rule
+// and station, when a concurrent request opened it first it is counted on.
+const triggerAlert = async (rule, stationId, { message, value, measurementId, at, firstAt = at, occurrences = 1 }) => {
+  const countOn = () => Alert.findOneAndUpdate(
+    { rule_id: rule._id, station_id: stationId, status: { $in: ACTIVE } },
+    {
+      $inc: { occurrences },
+      $set: { lastTriggeredAt: at, ...(value !== undefined && { value }) },
+    },
+    { new: true }
+  )
+
+  const active = await countOn()
+  if (active) return active
+
+  const alert = new Alert({
+    rule_id: rule._id,
+    station_id: stationId,
+    variable: rule.variable,
+    condition: rule.condition,
+    message,
+    value,
+    measurement_id: measurementId,
+    triggeredAt: firstAt,
+    lastTriggeredAt: at,
+    occurrences,
+  })
+  queueDeliveries(alert, rule, 'alert.triggered')
+  try {
+    return await alert.save()
+  } catch (error) {
+    if (error.code !== 11000) throw error
+    return countOn()
+  }
+}
+
+// Resolve an alert, by a user or automatically (no userId)
+const resolveAlert = async (alert, rule, userId) => {
+  alert.status = 'resolved'
+  alert.resolvedAt = new Date()
+  alert.resolvedBy = userId
+  if (rule) queueDeliveries(alert, rule, 'alert.resolved')
+  return alert.save()
+}
+
+const resolveActive = async (filter, rulesById) => {
+  const alerts = await Alert.find({ ...filter, status: { $in: ACTIVE } })
+  for (const alert of alerts) {
+    await resolveAlert(alert, rulesById.get(String(alert.rule_id)))
+  }
+}
+
+// Stored readings of a station and variable not flagged bad between `from`
+// and `to`, oldest first, preceded by the last one before `from`
+const readingsAround = async (stationId, variable, from, to) => {
+  const filter = { station_id: stationId, variable, 'quality.flag': { $ne: 'bad' } }
+  const [before, within] = await Promise.all([
+    Measurement.findOne({ ...filter, observedAt: { $lt: from } }).sort({ observedAt: -1 }).select('value observedAt').lean(),
+    Measurement.find({ ...filter, observedAt: { $gte: from, $lte: to } }).sort({ observedAt: 1 }).select('value observedAt').lean(),
+  ])
+  return before ? [before, ...within] : within
+}
+
+// Check a reading against a rule, `previous` is the reading before it for
+// rate_of_change. Returns the alert message when the rule fires, null when it
+// does not, and undefined when it cannot tell.
+const checkRule = (rule, measurement, previous) => {
+  const { variable, value } = measurement
+  switch (rule.condition) {
+    case 'above':
+      return value > rule.threshold ? `${variable} ${value} is above ${rule.threshold}` : null
+    case 'below':
+      return value < rule.threshold ? `${variable} ${value} is below ${rule.threshold}` : null
+    case 'rate_of_change': {
+      if (!previous) return undefined
+      const hours = (measurement.observedAt - previous.observedAt) / 3600000
+      if (hours <= 0) return undefined
+      const rate = Math.abs(value - previous.value) / hours
+      return rate > rule.threshold
+        ? `${variable} changed ${rate.toFixed(2)} per hour, more than ${rule.threshold}`
+        : null
+    }
+    default:
+      return undefined
+  }
+}
+
+const ruleApplies = (rule, measurement, stationType) => rule.variable === measurement.variable &&
+  (rule.station_id ? rule.station_id.equals(measurement.station_id) : rule.stationType === stationType)
+
+// Apply the checks of one rule on one station's readings, oldest first, with
+// at most one resolve and one trigger: the last reading the rule did not
+// fire on resolves the active alert, the readings it fired on after that
+// open or count on one. Alerts that would open and resolve within the batch
+// are skipped.
+const applyOutcomes = async (rule, stationId, outcomes, rulesById) => {
+  const lastQuiet = outcomes.map((outcome) => outcome.message).lastIndexOf(null)
+  const firing = outcomes.slice(lastQuiet + 1).filter((outcome) => outcome.message)
+
+  if (lastQuiet >= 0) {
+    await resolveActive({ rule_id: rule._id, station_id: stationId }, rulesById)
+  }
+  if (firing.length) {
+    const first = firing[0]
+    const last = firing[firing.length - 1]
+    await triggerAlert(rule, stationId, {
+      message: first.message,
+      value: last.measurement.value,
+      measurementId: first.measurement._id,
+      firstAt: first.measurement.observedAt,
+      at: last.measurement.observedAt,
+      occurrences: firing.length,
+    })
+  }
+}
+
+// Evaluate the value based rules against freshly stored measurements, one
+// rule and station at a time. Rules that stop firing resolve their alerts,
+// and any reading resolves the station's no_data alerts for that variable.
+const evaluateMeasurements = async (measurements) => {
+  if (!measurements.length) return
+
+  const stationIds = [...new Set(measurements.map((m) => String(m.station_id)))]
+  const stations = await Station.find({ _id: { $in: stationIds } }).select('type')
+  const stationTypes = new Map(stations.map((station) => [String(station._id), station.type]))
+
+  const rules = await AlertRule.find({
+    enabled: true,
+    variable: { $in: [...new Set(measurements.map((m) => m.variable))] },
+    $or: [
+      { station_id: { $in: stationIds } },
+      { stationType: { $in: [...new Set(stationTypes.values())] } },
+    ],
+  })
+  if (!rules.length) return
+  const rulesById = new Map(rules.map((rule) => [String(rule._id), rule]))
+
+  // Readings of each rule and station, oldest first
+  const groups = new Map()
+  const ordered = [...measurements].sort((a, b) => a.observedAt - b.observedAt)
+  for (const measurement of ordered) {
+    const stationType = stationTypes.get(String(measurement.station_id))
+    for (const rule of rules) {
+      if (!ruleApplies(rule, measurement, stationType)) continue
+      const key = `${rule._id}:${measurement.station_id}`
+      if (!groups.has(key)) groups.set(key, { rule, stationId: measurement.station_id, readings: [] })
+      groups.get(key).readings.push(measurement)
+    }
+  }
+
+  // Stored readings per station and variable, for rate_of_change
+  const series = new Map()
+  const seriesOf = (readings) => {
+    const { station_id, variable } = readings[0]
+    const key = `${station_id}:${variable}`
+    if (!series.has(key)) {
+      series.set(key, readingsAround(station_id, variable, readings[0].observedAt, readings[readings.length - 1].observedAt))
+    }
+    return series.get(key)
+  }
+
+  for (const { rule, stationId, readings } of groups.values()) {
+    if (rule.condition === 'no_data') {
+      await resolveActive({ rule_id: rule._id, station_id: stationId }, rulesById)
+      continue
+    }
+
+    // A broken sensor is not a weather event
+    const usable = readings.filter((m) => !(m.quality && m.quality.flag === 'bad'))
+    if (!usable.length) continue
+
+    const stored = rule.condition === 'rate_of_change' ? await seriesOf(readings) : []
+    let next = 0
+    let previous = null
+    const outcomes = usable.map((measurement) => {
+      while (next < stored.length && stored[next].observedAt < measurement.observedAt) {
+        previous = stored[next++]
+      }
+      return { measurement, message: checkRule(rule, measurement, previous) }
+    })
+    await applyOutcomes(rule, stationId, outcomes, rulesById)
+  }
+}
+
+// Like evaluateMeasurements, but never fails the caller: a broken rule must
+// not stop measurements from being stored
+const evaluateMeasurementsSafely = async (measurements) => {
+  try {
+    await evaluateMeasurements(measurements)
+  } catch (error) {
+    logger.error('Error evaluating alert rules', { err: error })
+  }
+}
+
+// Open alerts for stations that sent no data for a no_data rule's minutes.
+// Run by the scheduler.
+const evaluateNoData = async (now = new Date()) => {
+  const rules = await AlertRule.find({ enabled: true, condition: 'no_data' })
+
+  for (const rule of rules) {
+    const stationFilter = rule.station_id ? { _id: rule.station_id } : { type: rule.stationType }
+    // Only active stations are expected to report
+    const stations = await Station.find({ ...stationFilter, archivedAt: null, status: { $in: ['active', null] } }).select('_id')
+    if (!stations.length) continue
+
+    const cutoff = new Date(now.getTime() - rule.minutes * 60000)
+    const reporting = await Measurement.distinct('station_id', {
+      station_id: { $in: stations.map((station) => station._id) },
+      variable: rule.variable,
+      observedAt: { $gte: cutoff },
+    })
+    const reportingIds = new Set(reporting.map(String))
+
+    for (const station of stations) {
+      if (reportingIds.has(String(station._id))) continue
+      await triggerAlert(rule, station._id, {
+        message: `No ${rule.variable} data for ${rule.minutes} minutes`,
+        at: now,
+      })
+    }
+  }
+}
+
+module.exports = {
+  ACTIVE,
+  triggerAlert,
+  resolveAlert,
+  evaluateMeasurements,
+  evaluateMeasurementsSafely,
+  evaluateNoData
+}
@@ -0,0 +1,35 @@
+const AuditLog = require('../models/auditLog')
+
+// Who made the request: a user, or a station device through its API key
+const actorOf = (req) => {
+  if (req.user) return { user_id: req.user._id, username: req.user.username }
+  if (req.apiKey) return { apiKey_id: req.apiKey._id }
+  return {}
+}
+
+const snapshot = (doc) => doc && (typeof doc.toObject === 'function' ? doc.toObject() : doc)
+
+// Append one audit entry for a change made by `req`
+const recordAudit = (req, { action, resource, resourceId, before, after, details }) => AuditLog.create({
+  action,
+  resource,
+  resource_id: resourceId,
+  ...actorOf(req),
+  before: snapshot(before),
+  after: snapshot(after),
+  details,
+})
+
+// Append one `create` entry per document, for bulk inserts
+const recordCreates = (req, resource, docs) => AuditLog.insertMany(docs.map((doc) => ({
+  action: 'create',
+  resource,
+  resource_id: doc._id,
+  ...actorOf(req),
+  after: snapshot(doc),
+})), { ordered: false })
+
+module.exports = {
+  recordAudit,
+  recordCreates
+}
@@ -0,0 +1,243 @@
+const mongoose = require('mongoose')
+const Measurement = require('../models/measurement')
+const { stationWriteErrors } = require('./stationIntegrity')
+const { badRequest } = require('./errors')
+const { assessQuality } = require('./qualityControl')
+const { validateSchema, mongooseErrorDetails } = require('./validation')
+const { components } = require('../schemas/measurement')
+
+const MAX_ROWS = 10000
+const BATCH_SIZE = 1000
+
+// Split one CSV line into fields. Supports quoted fields with "" escapes.
+const parseCsvLine = (line) => {
+  const fields = []
+  let field = ''
+  let quoted = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      fields.push(field)
+      field = ''
+    } else {
+      field += char
+    }
+  }
+  fields.push(field)
+  return fields
+}
+
+const splitLines = (text) => text.split(/\r?\n/).filter((line) => line.trim() !== '')
+
+// CSV needs a header row naming the columns, e.g. station_id,variable,value,observedAt
+const parseCsv = (text) => {
+  const [header, ...lines] = splitLines(text)
+  if (!header) return []
+
+  const columns = parseCsvLine(header).map((column) => column.trim())
+  return lines.map((line) => {
+    const fields = parseCsvLine(line)
+    const row = {}
+    columns.forEach((column, i) => {
+      const field = fields[i] === undefined ? '' : fields[i].trim()
+      if (field !== '') row[column] = field
+    })
+    if (row.value !== undefined) row.value = Number(row.value)
+    return row
+  })
+}
+
+// Unparseable NDJSON lines are kept as errors so they show up in the report
+const parseNdjson = (text) => splitLines(text).map((line) => {
+  try {
+    return JSON.parse(line)
+  } catch (error) {
+    return new Error('Invalid JSON')
+  }
+})
+
+// Turn a JSON array, NDJSON or CSV request body into rows
+const parseBulkBody = (req) => {
+  let rows
+  if (req.is('application/json')) {
+    if (!Array.isArray(req.body)) throw badRequest('Body must be a JSON array')
+    rows = req.body
+  } else if (req.is('application/x-ndjson')) {
+    rows = parseNdjson(typeof req.body === 'string' ? req.body : '')
+  } else if (req.is('text/csv')) {
+    rows = parseCsv(typeof req.body === 'string' ? req.body : '')
+  } else {
+    throw badRequest('Content-Type must be application/json, application/x-ndjson or text/csv')
+  }
+
+  if (rows.length === 0) throw badRequest('No rows to ingest')
+  if (rows.length > MAX_ROWS) throw badRequest(`At most ${MAX_ROWS} rows can be ingested at once`)
+  return rows
+}
+
+// Validate every row, returning the valid documents with their row index and
+// an error entry for each rejected row
+const validateRows = async (rows, apiKey) => {
+  const checked = []
+  const errors = []
+
+  for (const [index, row] of rows.entries()) {
+    if (row instanceof Error || !row || typeof row !== 'object' || Array.isArray(row)) {
+      errors.push({ index, error: row instanceof Error ? row.message : 'Row must be an object' })
+      continue
+    }
+
+    // Rows of station devices default to the key's station
+    let input = row
+    if (apiKey) {
+      if (row.station_id && String(row.station_id) !== String(apiKey.station_id)) {
+        errors.push({ index, error: 'API key is not valid for this station' })
+        continue
+      }
+      input = { ...row, station_id: String(apiKey.station_id) }
+    }
+
+    const { value: body, errors: fieldErrors } = validateSchema(components.Measurement, input)
+    if (fieldErrors.length) {
+      errors.push({ index, error: 'Validation failed', details: fieldErrors })
+      continue
+    }
+
+    const measurement = new Measurement(body)
+    try {
+      await measurement.validate()
+      checked.push({ index, measurement })
+    } catch (error) {
+      const details = mongooseErrorDetails(error, '')
+      errors.push(details ? { index, error: 'Validation failed', details } : { index, error: error.message })
+    }
+  }
+
+  // Check the stations of all rows with one query
+  const stationErrors = await stationWriteErrors(checked.map(({ measurement }) => measurement.station_id))
+  const valid = checked.filter(({ index, measurement }) => {
+    const stationError = stationErrors.get(String(measurement.station_id))
+    if (stationError) errors.push({ index, error: stationError })
+    return !stationError
+  })
+
+  return { valid, errors }
+}
+
+// Report entry of a row the database rejected, `writeError.index` is its
+// position in `batch`
+const rowError = (batch, writeError) => ({
+  index: batch[writeError.index].index,
+  // Duplicates hit the unique station, variable and observedAt index
+  error: writeError.code === 11000
+    ? 'A measurement of this station and variable with this observedAt already exists'
+    : writeError.errmsg,
+})
+
+// Insert validated rows in batches and resolve to the inserted documents.
+// Rows the database rejects are added to `errors`. With `session` the first
+// failure is added and then thrown, to abort the transaction.
+const insertRows = async (valid, errors, session) => {
+  const inserted = []
+
+  for (let start = 0; start < valid.length; start += BATCH_SIZE) {
+    const batch = valid.slice(start, start + BATCH_SIZE)
+    const docs = batch.map(({ measurement }) => measurement)
+
+    if (session) {
+      try {
+        await Measurement.insertMany(docs, { session })
+      } catch (error) {
+        for (const writeError of error.writeErrors || []) errors.push(rowError(batch, writeError))
+        throw error
+      }
+      inserted.push(...docs)
+      continue
+    }
+
+    try {
+      await Measurement.insertMany(docs, { ordered: false })
+      inserted.push(...docs)
+    } catch (error) {
+      if (!error.writeErrors) throw error
+      const failed = new Set()
+      for (const writeError of error.writeErrors) {
+        failed.add(writeError.index)
+        errors.push(rowError(batch, writeError))
+      }
+      inserted.push(...docs.filter((doc, i) => !failed.has(i)))
+    }
+  }
+
+  return inserted
+}
+
+// Standalone servers answer transactions with IllegalOperation
+const transactionsUnsupported = (error) =>
+  error.code === 20 || /Transaction numbers are only allowed/.test(error.message)
+
+// Insert every row in one transaction. Rows the database rejects are added
+// to `errors` and nothing is stored.
+const insertAtomically = async (valid, errors) => {
+  const session = await mongoose.startSession()
+  let rejected = []
+  try {
+    let inserted = []
+    await session.withTransaction(async () => {
+      // The callback runs again after transient errors
+      rejected = []
+      inserted = await insertRows(valid, rejected, session)
+    })
+    return inserted
+  } catch (error) {
+    if (rejected.length) {
+      errors.push(...rejected)
+      return []
+    }
+    if (transactionsUnsupported(error)) {
+      throw badRequest('atomic=true needs transactions, which this MongoDB server does not support (it is not a replica set), send the rows without atomic')
+    }
+    throw error
+  } finally {
+    await session.endSession()
+  }
+}
+
+// Ingest rows and resolve to { report, inserted }: the report for the client
+// and the stored documents. In atomic mode nothing is stored unless every
+// row is valid, and the inserts run in a transaction (needs a replica set).
+const ingestMeasurements = async (rows, { apiKey, atomic }) => {
+  const { valid, errors } = await validateRows(rows, apiKey)
+  await assessQuality(valid.map(({ measurement }) => measurement))
+  let inserted = []
+
+  if (atomic) {
+    if (errors.length === 0) inserted = await insertAtomically(valid, errors)
+  } else {
+    inserted = await insertRows(valid, errors)
+  }
+
+  errors.sort((a, b) => a.index - b.index)
+  const report = { received: rows.length, inserted: inserted.length, rejected: errors.length, errors }
+  return { report, inserted }
+}
+
+module.exports = {
+  MAX_ROWS,
+  BATCH_SIZE,
+  parseCsvLine,
+  parseBulkBody,
+  ingestMeasurements
+}
@@ -0,0 +1,48 @@
+// Errors with an HTTP status. Routes and services throw them, the error
+// handler (middleware/errorHandler.js) turns them into the error envelope.
+class HttpError extends Error {
+  constructor(status, code, message, details) {
+    super(message)
+    this.name = 'HttpError'
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+const badRequest = (message, details) => new HttpError(400, 'bad_request', message, details)
+
+const unauthorized = (message) => new HttpError(401, 'unauthorized', message)
+
+const forbidden = (message = 'Insufficient permissions') => new HttpError(403, 'forbidden', message)
+
+const notFound = (message) => new HttpError(404, 'not_found', message)
+
+const conflict = (message, details) => new HttpError(409, 'conflict', message, details)
+
+const preconditionFailed = (message) => new HttpError(412, 'precondition_failed', message)
+
+const validationFailed = (details) => new HttpError(422, 'validation_failed', 'Validation failed', details)
+
+// Errors with `retryAfter` (in seconds) are answered with a Retry-After header
+const withRetryAfter = (error, retryAfter) => Object.assign(error, { retryAfter })
+
+const accountLocked = (message, retryAfter) => withRetryAfter(new HttpError(423, 'account_locked', message), retryAfter)
+
+const tooManyRequests = (message, retryAfter) => withRetryAfter(new HttpError(429, 'too_many_requests', message), retryAfter)
+
+const serviceUnavailable = (message, retryAfter) => withRetryAfter(new HttpError(503, 'service_unavailable', message), retryAfter)
+
+module.exports = {
+  HttpError,
+  badRequest,
+  unauthorized,
+  forbidden,
+  notFound,
+  conflict,
+  preconditionFailed,
+  validationFailed,
+  accountLocked,
+  tooManyRequests,
+  serviceUnavailable
+}
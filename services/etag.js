@@ -0,0 +1,32 @@
+const { preconditionFailed } = require('./errors')
+
+// Stations and measurements carry a version that every save bumps
+// (optimisticConcurrency), their ETag is that version. Responses embedding
+// populated documents append their versions ("3.7"), so a cached copy goes
+// stale when either changes.
+const etagOf = (doc, populated = []) => `"${[doc, ...populated].map((d) => d?.version ?? 0).join('.')}"`
+
+// Send the ETag of `doc`, with the documents populated into the response.
+// GET responses with a matching If-None-Match are turned into 304 Not
+// Modified by Express.
+const setEtag = (res, doc, populated) => {
+  res.set('ETag', etagOf(doc, populated))
+}
+
+// Throw 412 when the request has an If-Match header that does not name the
+// current version of `doc`, the client would overwrite someone else's change.
+// Only the document's own version counts, not those of populated ones.
+const checkIfMatch = (req, doc) => {
+  const header = req.get('If-Match')
+  if (!header || header.trim() === '*') return
+
+  const tags = header.split(',').map((tag) => tag.trim().replace(/^"(\d+)\.[\d.]*"$/, '"$1"'))
+  if (!tags.includes(etagOf(doc))) {
+    throw preconditionFailed(`The resource has changed, its current ETag is ${etagOf(doc)}`)
+  }
+}
+
+module.exports = {
+  setEtag,
+  checkIfMatch
+}
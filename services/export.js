@@ -0,0 +1,59 @@
+const { once } = require('events')
+
+// Quote a CSV field when it contains a separator, quote or line break.
+// Text starting like a formula gets a leading ' so spreadsheets show it as
+// text, numbers (negative values included) are left alone.
+const csvField = (value) => {
+  if (value === undefined || value === null) return ''
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const csvRow = (values) => `${values.map(csvField).join(',')}\n`
+
+// Write `chunk`, waiting for the client to drain the buffer when it is full
+// (or to go away)
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')])
+  }
+}
+
+// Stream every document of a Mongoose query cursor to the response, one
+// chunk per document, between an optional head and tail. Stops reading
+// when the client disconnects.
+const streamCursor = async (res, cursor, { head = '', tail = '', format }) => {
+  let closed = false
+  res.on('close', () => {
+    closed = true
+  })
+
+  try {
+    if (head) await write(res, head)
+    let index = 0
+    for await (const doc of cursor) {
+      if (closed) break
+      await write(res, format(doc, index++))
+    }
+    if (!closed) res.end(tail)
+  } catch (error) {
+    // Headers are already sent, all we can do is cut the response short
+    res.destroy(error)
+  } finally {
+    await cursor.close()
+  }
+}
+
+const startDownload = (res, contentType, filename) => {
+  res.status(200)
+  res.set('Content-Type', contentType)
+  res.set('Content-Disposition', `attachment; filename="${filename}"`)
+}
+
+module.exports = {
+  csvField,
+  csvRow,
+  streamCursor,
+  startDownload
+}
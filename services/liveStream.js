@@ -0,0 +1,130 @@
+const Measurement = require('../models/measurement')
+const Alert = require('../models/alert')
+const { badRequest } = require('./errors')
+
+const HEARTBEAT_MS = 25000
+
+// A client reading slower than events arrive gets its stream ended once this
+// much is waiting to be sent, it resumes from its last event with Last-Event-ID
+const MAX_BUFFERED_BYTES = 1024 * 1024
+
+// Open streams, ended by closeLiveStreams() on shutdown
+const openStreams = new Set()
+
+// Event IDs carry the resume token of each change stream, so a client that
+// reconnects with Last-Event-ID continues right after the last event it got
+const encodeEventId = (tokens) => Buffer.from(JSON.stringify(tokens)).toString('base64url')
+
+const decodeEventId = (id) => {
+  try {
+    const tokens = JSON.parse(Buffer.from(id, 'base64url').toString())
+    if (tokens && typeof tokens === 'object') return tokens
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw badRequest('Invalid Last-Event-ID')
+}
+
+// Apply a measurement filter to the documents of a change stream
+const prefixFilter = (filter, prefix) => {
+  const prefixed = {}
+  for (const [key, value] of Object.entries(filter)) {
+    prefixed[`${prefix}.${key}`] = value
+  }
+  return prefixed
+}
+
+// Stream measurements inserted from now on (and alert changes when
+// `includeAlerts`) to the response as Server-Sent Events. Uses MongoDB change
+// streams, so every API instance sees every write. Needs a replica set.
+const streamLive = (res, { filter, includeAlerts, lastEventId }) => {
+  const tokens = lastEventId ? decodeEventId(lastEventId) : {}
+
+  res.status(200)
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  })
+  res.flushHeaders()
+
+  const streams = []
+  let closed = false
+  const write = (chunk) => {
+    if (closed) return
+    if (!res.write(chunk) && res.writableLength > MAX_BUFFERED_BYTES) end()
+  }
+
+  const send = (event, key, change, data) => {
+    tokens[key] = change._id
+    write(`id: ${encodeEventId(tokens)}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  const close = () => {
+    closed = true
+    openStreams.delete(end)
+    clearInterval(heartbeat)
+    for (const stream of streams) stream.close().catch(() => {})
+  }
+
+  const fail = (error) => {
+    if (closed) return
+    res.write(`event: error\ndata: ${JSON.stringify({ error: error.message })}\n\n`)
+    close()
+    res.end()
+  }
+
+  const measurementStream = Measurement.watch(
+    [{ $match: { operationType: 'insert', ...prefixFilter(filter, 'fullDocument') } }],
+    tokens.m ? { resumeAfter: tokens.m } : {}
+  )
+  measurementStream.on('change', (change) => send('measurement', 'm', change, change.fullDocument))
+  measurementStream.on('error', fail)
+  streams.push(measurementStream)
+
+  if (includeAlerts) {
+    const alertFilter = filter.station_id ? { 'fullDocument.station_id': filter.station_id } : {}
+    const alertStream = Alert.watch(
+      [{
+        $match: {
+          ...alertFilter,
+          $or: [
+            { operationType: 'insert' },
+            { operationType: 'update', 'updateDescription.updatedFields.status': { $exists: true } },
+          ],
+        }
+      }],
+      { fullDocument: 'updateLookup', ...(tokens.a ? { resumeAfter: tokens.a } : {}) }
+    )
+    alertStream.on('change', (change) => {
+      if (!change.fullDocument) return
+      const { deliveries, ...alert } = change.fullDocument
+      send('alert', 'a', change, alert)
+    })
+    alertStream.on('error', fail)
+    streams.push(alertStream)
+  }
+
+  // Comments keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => write(': heartbeat\n\n'), HEARTBEAT_MS)
+  res.on('close', close)
+
+  // Ends the stream from the server side, clients reconnect with
+  // Last-Event-ID to another instance
+  const end = () => {
+    if (closed) return
+    close()
+    res.end()
+  }
+  openStreams.add(end)
+}
+
+const closeLiveStreams = () => {
+  for (const end of [...openStreams]) end()
+}
+
+module.exports = {
+  streamLive,
+  closeLiveStreams
+}
@@ -0,0 +1,97 @@
+// Structured logging. Every entry is one line, JSON by default
+// (LOG_FORMAT=json) or a readable line for development (LOG_FORMAT=pretty).
+// LOG_LEVEL sets the lowest level written: error, warn, info (default) or
+// debug, silent turns logging off.
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 }
+
+const configuredLevel = () => {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase()
+  if (level === 'silent') return -1
+  return LEVELS[level] ?? LEVELS.info
+}
+
+// Values of these fields never reach the logs: passwords, access and refresh
+// tokens, API keys, secrets and credentials in headers
+const REDACTED_FIELD = /password|token|secret|authorization|cookie|^x-api-key$|^key$/i
+const REDACTED = '[REDACTED]'
+const MAX_DEPTH = 5
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack,
+})
+
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) return serializeError(value)
+  if (value === null || typeof value !== 'object' || value instanceof Date) return value
+  if (depth >= MAX_DEPTH) return '[Object]'
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1))
+
+  const result = {}
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = REDACTED_FIELD.test(key) ? REDACTED : redact(item, depth + 1)
+  }
+  return result
+}
+
+// Path and query of a URL with secret query parameters, like the
+// access_token of live streams, redacted. Node accepts request targets the
+// URL parser rejects, their query is left out.
+const redactUrl = (url) => {
+  let parsed
+  try {
+    parsed = new URL(url, 'http://localhost')
+  } catch {
+    return typeof url === 'string' ? url.split('?')[0] : '[unparseable]'
+  }
+  for (const key of [...parsed.searchParams.keys()]) {
+    // Without brackets, which would be percent-encoded
+    if (REDACTED_FIELD.test(key)) parsed.searchParams.set(key, 'REDACTED')
+  }
+  return `${parsed.pathname}${parsed.search}`
+}
+
+const formatPretty = ({ time, level, msg, err, ...fields }) => {
+  const pairs = Object.entries(fields).map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+  const line = `${time} ${level.toUpperCase().padEnd(5)} ${msg}${pairs.length ? ` ${pairs.join(' ')}` : ''}`
+  return err ? `${line}\n${err.stack || err.message}` : line
+}
+
+// Logging never throws, fields that cannot be serialized, like BigInts, are
+// replaced by a note
+const format = (entry) => {
+  try {
+    return process.env.LOG_FORMAT === 'pretty' ? formatPretty(entry) : JSON.stringify(entry)
+  } catch (error) {
+    return JSON.stringify({ time: entry.time, level: entry.level, msg: entry.msg, logError: `Fields could not be serialized: ${error.message}` })
+  }
+}
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] > configuredLevel()) return
+
+  const entry = { time: new Date().toISOString(), level, msg, ...redact(fields) }
+  const line = format(entry)
+  if (LEVELS[level] <= LEVELS.warn) {
+    process.stderr.write(`${line}\n`)
+  } else {
+    process.stdout.write(`${line}\n`)
+  }
+}
+
+const logger = {
+  error: (msg, fields) => write('error', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  debug: (msg, fields) => write('debug', msg, fields),
+  isLevelEnabled: (level) => LEVELS[level] <= configuredLevel(),
+}
+
+module.exports = {
+  logger,
+  redact,
+  redactUrl
+}
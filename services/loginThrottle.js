@@ -0,0 +1,77 @@
+const User = require('../models/user')
+const { hit, peek, clear, secondsUntil } = require('./rateLimit')
+const { accountLocked, tooManyRequests } = require('./errors')
+
+// Failed logins are counted per client IP and per username within
+// LOGIN_WINDOW_MS. Too many from one IP throttle that IP, too many for one
+// username lock the account for LOGIN_LOCKOUT_MS. Unknown usernames are
+// throttled the same way, so responses do not tell which accounts exist.
+const WINDOW_MS = Number(process.env.LOGIN_WINDOW_MS) || 15 * 60 * 1000
+const MAX_FAILURES_PER_IP = Number(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20
+const MAX_FAILURES_PER_USERNAME = Number(process.env.LOGIN_MAX_FAILURES_PER_USERNAME) || 5
+const LOCKOUT_MS = Number(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000
+
+const ipKey = (ip) => `login:ip:${ip}`
+const usernameKey = (username) => `login:user:${username}`
+
+const LOCKED_MESSAGE = 'Account temporarily locked after too many failed logins'
+
+// The error to answer with when the IP or the account may not try to log in
+// right now, null otherwise. Checked before the password, a locked account
+// stays locked even for the right one.
+const loginBlocked = async ({ ip, username, user }, now = new Date()) => {
+  const ipWindow = await peek(ipKey(ip), now)
+  if (ipWindow && ipWindow.count >= MAX_FAILURES_PER_IP) {
+    return tooManyRequests('Too many failed logins from this address, try again later', secondsUntil(ipWindow.resetAt, now))
+  }
+
+  if (user) {
+    if (user.lockedUntil && user.lockedUntil > now) {
+      return accountLocked(LOCKED_MESSAGE, secondsUntil(user.lockedUntil, now))
+    }
+    return null
+  }
+  const usernameWindow = await peek(usernameKey(username), now)
+  if (usernameWindow && usernameWindow.count >= MAX_FAILURES_PER_USERNAME) {
+    return accountLocked(LOCKED_MESSAGE, secondsUntil(usernameWindow.resetAt, now))
+  }
+  return null
+}
+
+// Count a failed login. Locks the account, recorded on the user, once the
+// username reaches the limit.
+const recordLoginFailure = async ({ ip, username, user }, now = new Date()) => {
+  await hit(ipKey(ip), WINDOW_MS, now)
+  const { count } = await hit(usernameKey(username), WINDOW_MS, now)
+  if (!user) return
+
+  const update = { failedLoginAttempts: count, lastFailedLoginAt: now }
+  if (count >= MAX_FAILURES_PER_USERNAME) {
+    update.lockedUntil = new Date(now.getTime() + LOCKOUT_MS)
+    // Counting starts over once the lockout ends
+    await clear(usernameKey(username))
+  }
+  await User.updateOne({ _id: user._id }, update)
+}
+
+const recordLoginSuccess = async ({ username, user }) => {
+  await clear(usernameKey(username))
+  if (user.failedLoginAttempts || user.lockedUntil) {
+    await User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockedUntil: null })
+  }
+}
+
+// Lift the lockout of an account, for admins
+const unlockAccount = async (user) => {
+  await clear(usernameKey(user.username))
+  user.failedLoginAttempts = 0
+  user.lockedUntil = null
+  return user.save()
+}
+
+module.exports = {
+  loginBlocked,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount
+}
@@ -0,0 +1,81 @@
+const Measurement = require('../models/measurement')
+const MaintenanceVisit = require('../models/maintenanceVisit')
+
+const FAR_FUTURE = new Date(8640000000000000)
+
+// Periods a station was under maintenance that overlap [from, to]: its site
+// visits, open ones lasting until now, and the times its status was
+// `maintenance`. `station` needs its statusHistory. Resolves to a sorted list
+// of { start, end }.
+const maintenancePeriods = async (station, from, to) => {
+  const visits = await MaintenanceVisit.find({
+    station_id: station._id,
+    startedAt: { $lte: to },
+    $or: [{ endedAt: null }, { endedAt: { $gte: from } }],
+  }).select('startedAt endedAt').lean()
+
+  const periods = visits.map((visit) => ({ start: visit.startedAt, end: visit.endedAt || FAR_FUTURE }))
+
+  const history = station.statusHistory || []
+  history.forEach((change, i) => {
+    if (change.status !== 'maintenance') return
+    const end = history[i + 1] ? history[i + 1].changedAt : FAR_FUTURE
+    if (change.changedAt <= to && end >= from) periods.push({ start: change.changedAt, end })
+  })
+
+  return periods.sort((a, b) => a.start - b.start)
+}
+
+const inMaintenance = (periods, time) => periods.some(({ start, end }) => time >= start && time <= end)
+
+// Flag stored readings of a station during maintenance, and unflag readings
+// that no longer are, within [from, to]. Run after site visits change, the
+// checks of new readings take care of everything else. Readings an operator
+// flagged by hand are left alone.
+const refreshMaintenanceFlags = async (station, from, to) => {
+  const inRange = {
+    station_id: station._id,
+    observedAt: { $gte: from, $lte: to },
+    'quality.manual': { $ne: true },
+  }
+
+  // Drop the maintenance reason and derive the flag from the other reasons
+  const reasons = { $filter: { input: { $ifNull: ['$quality.reasons', []] }, cond: { $ne: ['$$this', 'maintenance'] } } }
+  await Measurement.updateMany({ ...inRange, 'quality.reasons': 'maintenance' }, [
+    {
+      $set: {
+        'quality.reasons': reasons,
+        'quality.flag': {
+          $cond: [
+            { $in: ['out_of_range', reasons] },
+            'bad',
+            { $cond: [{ $gt: [{ $size: reasons }, 0] }, 'suspect', 'good'] },
+          ]
+        },
+        version: { $add: [{ $ifNull: ['$version', 0] }, 1] },
+      }
+    },
+  ])
+
+  for (const { start, end } of await maintenancePeriods(station, from, to)) {
+    await Measurement.updateMany({
+      ...inRange,
+      observedAt: { $gte: start > from ? start : from, $lte: end < to ? end : to },
+      'quality.reasons': { $ne: 'maintenance' },
+    }, [
+      {
+        $set: {
+          'quality.reasons': { $concatArrays: [{ $ifNull: ['$quality.reasons', []] }, ['maintenance']] },
+          'quality.flag': { $cond: [{ $eq: ['$quality.flag', 'bad'] }, 'bad', 'suspect'] },
+          version: { $add: [{ $ifNull: ['$version', 0] }, 1] },
+        }
+      },
+    ])
+  }
+}
+
+module.exports = {
+  maintenancePeriods,
+  inMaintenance,
+  refreshMaintenanceFlags
+}
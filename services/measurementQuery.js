@@ -0,0 +1,154 @@
+const mongoose = require('mongoose')
+const { isVariable } = require('../config/variables')
+const { QUALITY_FLAGS } = require('../models/measurement')
+const { badRequest } = require('./errors')
+
+const DEFAULT_LIMIT = 100
+const MAX_LIMIT = 1000
+
+// Accept both repeated (?a=1&a=2) and comma separated (?a=1,2) values
+const listParam = (value) => [].concat(value)
+  .flatMap((item) => String(item).split(','))
+  .map((item) => item.trim())
+  .filter(Boolean)
+
+const parseDate = (value, name) => {
+  const date = new Date(value)
+  if (Number.isNaN(date.getTime())) {
+    throw badRequest(`${name} must be a valid date`)
+  }
+  return date
+}
+
+const parseBoolean = (value, name, defaultValue) => {
+  if (value === undefined) return defaultValue
+  if (value === 'true') return true
+  if (value === 'false') return false
+  throw badRequest(`${name} must be true or false`)
+}
+
+// Build the MongoDB filter for the measurement query parameters shared by
+// every endpoint that reads measurements: station_id, variable, from, to,
+// quality
+const buildMeasurementFilter = (query) => {
+  const filter = {}
+
+  if (query.station_id) {
+    const values = listParam(query.station_id)
+    const invalid = values.find((id) => !mongoose.isObjectIdOrHexString(id))
+    if (invalid) throw badRequest(`Invalid station_id: ${invalid}`)
+    // Cast here, aggregation pipelines are not cast by Mongoose
+    const ids = values.map((id) => new mongoose.Types.ObjectId(id))
+    filter.station_id = ids.length === 1 ? ids[0] : { $in: ids }
+  }
+
+  if (query.variable) {
+    const variables = listParam(query.variable)
+    const unknown = variables.find((variable) => !isVariable(variable))
+    if (unknown) throw badRequest(`Unknown variable: ${unknown}`)
+    filter.variable = variables.length === 1 ? variables[0] : { $in: variables }
+  }
+
+  if (query.from || query.to) {
+    filter.observedAt = {}
+    if (query.from) filter.observedAt.$gte = parseDate(query.from, 'from')
+    if (query.to) filter.observedAt.$lt = parseDate(query.to, 'to')
+  }
+
+  if (query.quality) {
+    const flags = listParam(query.quality)
+    const unknown = flags.find((flag) => !QUALITY_FLAGS.includes(flag))
+    if (unknown) throw badRequest(`Unknown quality flag: ${unknown}`)
+    // Measurements stored before quality control count as good
+    filter['quality.flag'] = { $in: flags.includes('good') ? [...flags, null] : flags }
+  }
+
+  return filter
+}
+
+const encodeCursor = (measurement, order) => {
+  const observedAt = measurement.observedAt ? measurement.observedAt.toISOString() : null
+  const payload = { t: observedAt, id: String(measurement._id), o: order }
+  return Buffer.from(JSON.stringify(payload)).toString('base64url')
+}
+
+const decodeCursor = (cursor, order) => {
+  let payload
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+  } catch (error) {
+    throw badRequest('Invalid cursor')
+  }
+  if (!payload || !mongoose.isObjectIdOrHexString(payload.id) || payload.o !== order) {
+    throw badRequest('Invalid cursor')
+  }
+  return {
+    observedAt: payload.t === null ? null : parseDate(payload.t, 'cursor'),
+    id: new mongoose.Types.ObjectId(payload.id),
+  }
+}
+
+// Condition selecting the measurements after the cursor in (observedAt, _id)
+// order. Legacy rows without observedAt sort as null: last when descending,
+// first when ascending.
+const afterCursor = ({ observedAt, id }, order) => {
+  if (order === -1) {
+    if (observedAt === null) return { observedAt: null, _id: { $lt: id } }
+    return {
+      $or: [
+        { observedAt: { $lt: observedAt } },
+        { observedAt, _id: { $lt: id } },
+        { observedAt: null },
+      ]
+    }
+  }
+
+  if (observedAt === null) {
+    return {
+      $or: [
+        { observedAt: null, _id: { $gt: id } },
+        { observedAt: { $ne: null } },
+      ]
+    }
+  }
+  return {
+    $or: [
+      { observedAt: { $gt: observedAt } },
+      { observedAt, _id: { $gt: id } },
+    ]
+  }
+}
+
+// Sort order by observation time, newest first unless sort=asc
+const parseSort = (value) => {
+  const sort = value || 'desc'
+  if (sort !== 'asc' && sort !== 'desc') {
+    throw badRequest('sort must be asc or desc')
+  }
+  return sort === 'asc' ? 1 : -1
+}
+
+// Parse limit, sort and cursor of a paginated measurement list
+const parsePagination = (query) => {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`)
+  }
+
+  const order = parseSort(query.sort)
+  const cursor = query.cursor ? decodeCursor(query.cursor, order) : null
+  return { limit, order, cursor }
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  listParam,
+  parseDate,
+  parseBoolean,
+  buildMeasurementFilter,
+  parseSort,
+  parsePagination,
+  afterCursor,
+  encodeCursor
+}
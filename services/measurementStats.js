@@ -0,0 +1,196 @@
+const Measurement = require('../models/measurement')
+const { HourlyRollup, DailyRollup } = require('../models/measurementRollup')
+const { listParam } = require('./measurementQuery')
+const { badRequest } = require('./errors')
+const { rolledUpThrough } = require('./retention')
+
+const INTERVALS = ['minute', 'hour', 'day', 'month']
+const MAX_BUCKETS = 10000
+
+const parseInterval = (value) => {
+  const interval = value || 'hour'
+  if (!INTERVALS.includes(interval)) {
+    throw badRequest(`interval must be one of: ${INTERVALS.join(', ')}`)
+  }
+  return interval
+}
+
+const parseTimezone = (value) => {
+  const timezone = value || 'UTC'
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone })
+  } catch (error) {
+    throw badRequest(`Unknown timezone: ${timezone}`)
+  }
+  return timezone
+}
+
+// Percentiles are requested as 0-100, MongoDB expects 0-1
+const parsePercentiles = (value) => {
+  if (!value) return []
+  return listParam(value).map((item) => {
+    const percentile = Number(item)
+    if (!Number.isFinite(percentile) || percentile < 0 || percentile > 100) {
+      throw badRequest('percentiles must be numbers between 0 and 100')
+    }
+    return percentile
+  })
+}
+
+// Parse the stats specific query parameters
+const parseStatsOptions = (query) => ({
+  interval: parseInterval(query.interval),
+  timezone: parseTimezone(query.timezone),
+  percentiles: parsePercentiles(query.percentiles),
+})
+
+// Aggregate the raw measurements matching `filter` into time buckets per
+// station and variable. Percentiles use $percentile, which needs MongoDB 7.0
+// or later.
+const checkBucketCount = (buckets) => {
+  if (buckets.length > MAX_BUCKETS) {
+    throw badRequest('Too many buckets, narrow the time range or use a larger interval')
+  }
+}
+
+const rawStats = async (filter, { interval, timezone, percentiles }) => {
+  const group = {
+    _id: {
+      station_id: '$station_id',
+      variable: '$variable',
+      bucket: {
+        $dateTrunc: {
+          date: { $ifNull: ['$observedAt', '$createdAt'] },
+          unit: interval,
+          timezone,
+        }
+      },
+    },
+    count: { $sum: 1 },
+    min: { $min: '$value' },
+    max: { $max: '$value' },
+    avg: { $avg: '$value' },
+    sum: { $sum: '$value' },
+  }
+  if (percentiles.length) {
+    group.percentiles = {
+      $percentile: {
+        input: '$value',
+        p: percentiles.map((percentile) => percentile / 100),
+        method: 'approximate',
+      }
+    }
+  }
+
+  const buckets = await Measurement.aggregate([
+    { $match: filter },
+    { $group: group },
+    { $sort: { '_id.station_id': 1, '_id.variable': 1, '_id.bucket': 1 } },
+    { $limit: MAX_BUCKETS + 1 },
+  ])
+  checkBucketCount(buckets)
+
+  return buckets.map(({ _id, percentiles: values, ...stats }) => {
+    const bucket = { ..._id, ...stats }
+    if (values) {
+      bucket.percentiles = {}
+      percentiles.forEach((percentile, i) => {
+        bucket.percentiles[`p${percentile}`] = values[i]
+      })
+    }
+    return bucket
+  })
+}
+
+// Same as rawStats, from the rollups of data before `boundary`. Rollups hold
+// whole UTC hours and days, so a bucket is included when it starts within the
+// requested range. Daily rollups only line up with UTC day and month buckets.
+const rollupStats = async (filter, boundary, { interval, timezone }) => {
+  const match = {}
+  if (filter.station_id) match.station_id = filter.station_id
+  if (filter.variable) match.variable = filter.variable
+  if (filter['quality.flag']) match.quality = filter['quality.flag']
+
+  const range = filter.observedAt || {}
+  match.bucket = { $lt: range.$lt && range.$lt < boundary ? range.$lt : boundary }
+  if (range.$gte) match.bucket.$gte = range.$gte
+
+  const Rollup = interval !== 'hour' && timezone === 'UTC' ? DailyRollup : HourlyRollup
+  const buckets = await Rollup.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          station_id: '$station_id',
+          variable: '$variable',
+          bucket: { $dateTrunc: { date: '$bucket', unit: interval, timezone } },
+        },
+        count: { $sum: '$count' },
+        min: { $min: '$min' },
+        max: { $max: '$max' },
+        sum: { $sum: '$sum' },
+      }
+    },
+    { $limit: MAX_BUCKETS + 1 },
+  ])
+  checkBucketCount(buckets)
+
+  return buckets.map(({ _id, ...stats }) => ({ ..._id, ...stats, avg: stats.sum / stats.count }))
+}
+
+// Combine buckets from rollups and raw data, a bucket can span the boundary
+const mergeBuckets = (parts) => {
+  const merged = new Map()
+  for (const bucket of parts.flat()) {
+    const key = `${bucket.station_id}:${bucket.variable}:${bucket.bucket.getTime()}`
+    const existing = merged.get(key)
+    if (!existing) {
+      merged.set(key, bucket)
+      continue
+    }
+    existing.count += bucket.count
+    existing.min = Math.min(existing.min, bucket.min)
+    existing.max = Math.max(existing.max, bucket.max)
+    existing.sum += bucket.sum
+    existing.avg = existing.sum / existing.count
+  }
+
+  const buckets = [...merged.values()].sort((a, b) =>
+    String(a.station_id).localeCompare(String(b.station_id)) ||
+    // Legacy rows may have no variable
+    String(a.variable ?? '').localeCompare(String(b.variable ?? '')) ||
+    a.bucket - b.bucket)
+  checkBucketCount(buckets)
+  return buckets
+}
+
+// Statistics of the measurements matching `filter`. Ranges reaching back
+// before the raw retention window are read from the rollups, which only
+// support hour, day and month buckets and no percentiles.
+const measurementStats = async (filter, options) => {
+  const boundary = await rolledUpThrough()
+  const range = filter.observedAt || {}
+  if (!boundary || (range.$gte && range.$gte >= boundary)) {
+    return rawStats(filter, options)
+  }
+
+  if (options.interval === 'minute') {
+    throw badRequest(`Data before ${boundary.toISOString()} is only kept as hourly and daily rollups, use a larger interval`)
+  }
+  if (options.percentiles.length) {
+    throw badRequest(`Percentiles are not available for data before ${boundary.toISOString()}`)
+  }
+
+  const parts = [await rollupStats(filter, boundary, options)]
+  if (!range.$lt || range.$lt > boundary) {
+    parts.push(await rawStats({ ...filter, observedAt: { ...range, $gte: boundary } }, options))
+  }
+  return mergeBuckets(parts)
+}
+
+module.exports = {
+  INTERVALS,
+  MAX_BUCKETS,
+  parseStatsOptions,
+  measurementStats
+}
@@ -0,0 +1,157 @@
+// Metrics in the Prometheus text format, kept in memory per instance.
+// Prometheus scrapes every instance and sums them up.
+
+const metrics = []
+
+const labelKey = (labels) => JSON.stringify(labels)
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels)
+  if (!entries.length) return ''
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`
+}
+
+const counter = (name, help) => {
+  const values = new Map()
+  const metric = {
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels)
+      const entry = values.get(key) || { labels, value: 0 }
+      entry.value += amount
+      values.set(key, entry)
+    },
+    lines() {
+      return [...values.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    },
+  }
+  metrics.push(metric)
+  return metric
+}
+
+// Buckets are upper bounds in seconds
+const histogram = (name, help, buckets) => {
+  const values = new Map()
+  const metric = {
+    name,
+    help,
+    type: 'histogram',
+    observe(labels, value) {
+      const key = labelKey(labels)
+      let entry = values.get(key)
+      if (!entry) {
+        entry = { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }
+        values.set(key, entry)
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++
+      })
+      entry.sum += value
+      entry.count++
+    },
+    lines() {
+      const lines = []
+      for (const { labels, counts, sum, count } of values.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`)
+        })
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`)
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`)
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`)
+      }
+      return lines
+    },
+  }
+  metrics.push(metric)
+  return metric
+}
+
+// Read when scraped. Values the process only counts up, like CPU time, are
+// reported as counters.
+const sampled = (name, help, read, type = 'gauge') => {
+  const metric = {
+    name,
+    help,
+    type,
+    lines: () => [`${name} ${read()}`],
+  }
+  metrics.push(metric)
+  return metric
+}
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by method, route and status')
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by method, route and status', LATENCY_BUCKETS)
+const logins = counter('auth_logins_total', 'Login attempts by result')
+const ingested = counter('measurements_ingested_total', 'Measurements stored by station')
+const mongoDuration = histogram('mongodb_command_duration_seconds', 'MongoDB command latency by command and collection', LATENCY_BUCKETS)
+
+const startTime = Date.now() / 1000
+sampled('process_start_time_seconds', 'Start time of the process since the Unix epoch', () => startTime)
+sampled('process_cpu_seconds_total', 'User and system CPU time spent', () => {
+  const { user, system } = process.cpuUsage()
+  return (user + system) / 1e6
+}, 'counter')
+sampled('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss)
+sampled('nodejs_heap_size_used_bytes', 'Used V8 heap size', () => process.memoryUsage().heapUsed)
+sampled('nodejs_heap_size_total_bytes', 'Total V8 heap size', () => process.memoryUsage().heapTotal)
+sampled('nodejs_active_handles', 'Active libuv handles, sockets and timers among them', () => process.getActiveResourcesInfo().length)
+
+const recordRequest = ({ method, route, status, seconds }) => {
+  const labels = { method, route, status }
+  httpRequests.inc(labels)
+  httpDuration.observe(labels, seconds)
+}
+
+// `result` is success, failure or throttled
+const recordLogin = (result) => logins.inc({ result })
+
+const recordIngested = (measurements) => {
+  const perStation = new Map()
+  for (const { station_id } of measurements) {
+    const id = String(station_id)
+    perStation.set(id, (perStation.get(id) || 0) + 1)
+  }
+  for (const [station_id, count] of perStation) {
+    ingested.inc({ station_id }, count)
+  }
+}
+
+// Time the commands of a MongoDB client, which must be created with
+// monitorCommands enabled
+const observeMongoCommands = (client) => {
+  const started = new Map()
+  client.on('commandStarted', (event) => {
+    const collection = event.command[event.commandName]
+    started.set(event.requestId, typeof collection === 'string' ? collection : '')
+  })
+  const finished = (event) => {
+    const collection = started.get(event.requestId)
+    if (collection === undefined) return
+    started.delete(event.requestId)
+    mongoDuration.observe({ command: event.commandName, collection }, event.duration / 1000)
+  }
+  client.on('commandSucceeded', finished)
+  client.on('commandFailed', finished)
+}
+
+const renderMetrics = () => {
+  const lines = []
+  for (const metric of metrics) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.lines())
+  }
+  return `${lines.join('\n')}\n`
+}
+
+module.exports = {
+  recordRequest,
+  recordLogin,
+  recordIngested,
+  observeMongoCommands,
+  renderMetrics
+}
@@ -0,0 +1,119 @@
+const Measurement = require('../models/measurement')
+const Station = require('../models/station')
+const { maintenancePeriods, inMaintenance } = require('./maintenance')
+const { VARIABLES } = require('../config/variables')
+
+// Readings this long before a measurement count as its recent history
+const HISTORY_WINDOW_MS = 6 * 60 * 60 * 1000
+// At most this many recent readings are compared
+const HISTORY_SIZE = 10
+// Fewer recent readings than this give no reliable median for spikes
+const MIN_SPIKE_HISTORY = 3
+// This many identical readings in a row mean the sensor is stuck
+const STUCK_COUNT = 6
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2
+}
+
+// Run the automatic checks on a value given the readings before it, newest
+// first, and whether the station was under maintenance at the time. Out of
+// range values are bad, anything else that fails is suspect.
+const checkValue = (variable, value, history, maintenance = false) => {
+  const qc = VARIABLES[variable].qc
+  const reasons = []
+
+  if (value < qc.min || value > qc.max) reasons.push('out_of_range')
+
+  if (qc.step !== undefined && history.length && Math.abs(value - history[0].value) > qc.step) {
+    reasons.push('step')
+  }
+  if (qc.spike !== undefined && history.length >= MIN_SPIKE_HISTORY &&
+      Math.abs(value - median(history.map((reading) => reading.value))) > qc.spike) {
+    reasons.push('spike')
+  }
+
+  // Resting at the minimum is normal: calm wind, no rain, night
+  const previous = history.slice(0, STUCK_COUNT - 1)
+  if (value !== qc.min && previous.length === STUCK_COUNT - 1 &&
+      previous.every((reading) => reading.value === value)) {
+    reasons.push('stuck')
+  }
+
+  if (maintenance) reasons.push('maintenance')
+
+  const flag = reasons.includes('out_of_range') ? 'bad' : reasons.length ? 'suspect' : 'good'
+  return { flag, reasons }
+}
+
+const seriesKey = (measurement) => `${measurement.station_id}:${measurement.variable}`
+
+// Set `quality` on measurement documents before they are saved. New
+// documents are always checked, existing ones unless an operator flagged
+// them by hand. Each one is compared with the stored readings of its
+// station and variable and with the earlier documents of the same call,
+// and flagged when taken during maintenance of the station.
+const assessQuality = async (measurements) => {
+  // Legacy rows without a registered variable or observedAt cannot be checked
+  const pending = measurements.filter((m) => (m.isNew || !(m.quality && m.quality.manual)) &&
+    Object.hasOwn(VARIABLES, m.variable) && m.observedAt)
+
+  const series = new Map()
+  for (const measurement of pending) {
+    const key = seriesKey(measurement)
+    if (!series.has(key)) series.set(key, [])
+    series.get(key).push(measurement)
+  }
+
+  const stations = new Map()
+  const stationOf = async (id) => {
+    const key = String(id)
+    if (!stations.has(key)) {
+      stations.set(key, await Station.findById(id).select('statusHistory').setOptions({ withDeleted: true }).lean())
+    }
+    return stations.get(key)
+  }
+
+  for (const docs of series.values()) {
+    docs.sort((a, b) => a.observedAt - b.observedAt)
+    const first = docs[0].observedAt
+    const last = docs[docs.length - 1].observedAt
+
+    const station = await stationOf(docs[0].station_id)
+    const maintenance = station ? await maintenancePeriods(station, first, last) : []
+
+    // Bad readings would make good ones look like steps and spikes
+    const stored = await Measurement.find({
+      _id: { $nin: docs.map((doc) => doc._id) },
+      station_id: docs[0].station_id,
+      variable: docs[0].variable,
+      observedAt: { $gte: new Date(first.getTime() - HISTORY_WINDOW_MS), $lte: last },
+    }).select('value observedAt quality.flag').lean()
+
+    const readings = stored.map((reading) => ({
+      value: reading.value,
+      time: reading.observedAt.getTime(),
+      bad: Boolean(reading.quality && reading.quality.flag === 'bad'),
+    }))
+
+    for (const doc of docs) {
+      const time = doc.observedAt.getTime()
+      const history = readings
+        .filter((reading) => !reading.bad && reading.time < time && time - reading.time <= HISTORY_WINDOW_MS)
+        .sort((a, b) => b.time - a.time)
+        .slice(0, HISTORY_SIZE)
+
+      doc.quality = checkValue(doc.variable, doc.value, history, inMaintenance(maintenance, doc.observedAt))
+      readings.push({ value: doc.value, time, bad: doc.quality.flag === 'bad' })
+    }
+  }
+}
+
+module.exports = {
+  HISTORY_WINDOW_MS,
+  STUCK_COUNT,
+  checkValue,
+  assessQuality
+}
@@ -0,0 +1,43 @@
+const RateLimit = require('../models/rateLimit')
+
+// Fixed-window counters kept in MongoDB, so every API instance sees the same
+// counts. Expired windows may linger until the TTL monitor removes them, so
+// they are treated as empty here.
+
+// Count a hit against `key`, starting a new window of `windowMs` when the
+// last one is over. Resolves to { count, resetAt } of the current window.
+const hit = async (key, windowMs, now = new Date()) => {
+  const current = { $gt: ['$resetAt', now] }
+  const update = [{
+    $set: {
+      count: { $cond: [current, { $add: ['$count', 1] }, 1] },
+      resetAt: { $cond: [current, '$resetAt', new Date(now.getTime() + windowMs)] },
+    }
+  }]
+  const options = { upsert: true, new: true, projection: { count: 1, resetAt: 1 } }
+
+  try {
+    return await RateLimit.findOneAndUpdate({ _id: key }, update, options).lean()
+  } catch (error) {
+    // Another instance created the window at the same time, count again
+    if (error.code !== 11000) throw error
+    return RateLimit.findOneAndUpdate({ _id: key }, update, options).lean()
+  }
+}
+
+// The current window of `key` without counting a hit, null when there is none
+const peek = async (key, now = new Date()) => {
+  return RateLimit.findOne({ _id: key, resetAt: { $gt: now } }).lean()
+}
+
+const clear = (key) => RateLimit.deleteOne({ _id: key })
+
+// Whole seconds until `date`, at least 1, for Retry-After headers
+const secondsUntil = (date, now = new Date()) => Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000))
+
+module.exports = {
+  hit,
+  peek,
+  clear,
+  secondsUntil
+}
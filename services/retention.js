@@ -0,0 +1,158 @@
+const crypto = require('crypto')
+const Measurement = require('../models/measurement')
+const JobState = require('../models/jobState')
+const { HourlyRollup, DailyRollup } = require('../models/measurementRollup')
+const { DAY_MS, rawCutoff } = require('../config/retention')
+
+const JOB = 'retention'
+// A run holds the lock this long per day it processes
+const LOCK_MS = 10 * 60 * 1000
+// Days rolled up per run, a long backlog is worked off over several runs
+const MAX_DAYS_PER_RUN = 31
+
+const acquireLock = async () => {
+  const now = new Date()
+  const lockToken = crypto.randomUUID()
+  try {
+    return await JobState.findOneAndUpdate(
+      { _id: JOB, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { lockedUntil: new Date(now.getTime() + LOCK_MS), lockToken },
+      { upsert: true, new: true }
+    )
+  } catch (error) {
+    // The job exists and another instance holds its lock
+    if (error.code === 11000) return null
+    throw error
+  }
+}
+
+// Store the checkpoint and extend the lock. Resolves to false when the lock
+// was lost, the run must stop then.
+const saveProgress = async (state, checkpoint) => {
+  const result = await JobState.updateOne(
+    { _id: JOB, lockToken: state.lockToken },
+    { checkpoint, lockedUntil: new Date(Date.now() + LOCK_MS) }
+  )
+  return result.matchedCount > 0
+}
+
+const releaseLock = (state) => JobState.updateOne(
+  { _id: JOB, lockToken: state.lockToken },
+  { lockedUntil: null, lockToken: null }
+)
+
+const upsertRollups = (Model, groups) => {
+  if (!groups.length) return
+  return Model.bulkWrite(groups.map(({ _id, ...stats }) => ({
+    updateOne: {
+      filter: _id,
+      update: { $set: { ...stats, avg: stats.sum / stats.count } },
+      upsert: true,
+    }
+  })))
+}
+
+// Aggregate the raw measurements of one UTC day into hourly rollups, and
+// those into a daily rollup. Rollups are overwritten, not added to, so
+// running this again for the same day gives the same result.
+const rollUpDay = async (start) => {
+  const end = new Date(start.getTime() + DAY_MS)
+
+  const hours = await Measurement.aggregate([
+    { $match: { observedAt: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: {
+          station_id: '$station_id',
+          variable: '$variable',
+          quality: { $ifNull: ['$quality.flag', 'good'] },
+          bucket: { $dateTrunc: { date: '$observedAt', unit: 'hour' } },
+        },
+        unit: { $first: '$unit' },
+        count: { $sum: 1 },
+        min: { $min: '$value' },
+        max: { $max: '$value' },
+        sum: { $sum: '$value' },
+      }
+    },
+  ])
+  await upsertRollups(HourlyRollup, hours)
+
+  const days = await HourlyRollup.aggregate([
+    { $match: { bucket: { $gte: start, $lt: end } } },
+    {
+      $group: {
+        _id: { station_id: '$station_id', variable: '$variable', quality: '$quality', bucket: start },
+        unit: { $first: '$unit' },
+        count: { $sum: '$count' },
+        min: { $min: '$min' },
+        max: { $max: '$max' },
+        sum: { $sum: '$sum' },
+      }
+    },
+  ])
+  await upsertRollups(DailyRollup, days)
+}
+
+const purgeDay = (start) => Measurement.deleteMany({
+  observedAt: { $gte: start, $lt: new Date(start.getTime() + DAY_MS) },
+})
+
+// Roll up and delete raw measurements older than the retention window, one
+// UTC day at a time. The checkpoint records the day being purged, a run
+// that stopped after rolling up a day only finishes deleting it, so
+// rollups are never rebuilt from partly deleted data. Run by the scheduler.
+const applyRetention = async (now = new Date()) => {
+  const cutoff = rawCutoff(now)
+  if (!cutoff) return
+
+  const state = await acquireLock()
+  if (!state) return
+
+  try {
+    const checkpoint = { ...state.checkpoint }
+
+    if (checkpoint.purging) {
+      await purgeDay(checkpoint.purging)
+      checkpoint.rolledUpThrough = new Date(checkpoint.purging.getTime() + DAY_MS)
+      checkpoint.purging = null
+      if (!(await saveProgress(state, checkpoint))) return
+    }
+
+    for (let i = 0; i < MAX_DAYS_PER_RUN; i++) {
+      const oldest = await Measurement.findOne({ observedAt: { $lt: cutoff } })
+        .setOptions({ withDeleted: true })
+        .sort({ observedAt: 1 })
+        .select('observedAt')
+      if (!oldest) break
+
+      const day = new Date(Math.floor(oldest.observedAt.getTime() / DAY_MS) * DAY_MS)
+      await rollUpDay(day)
+
+      checkpoint.purging = day
+      if (!(await saveProgress(state, checkpoint))) return
+      await purgeDay(day)
+
+      const through = new Date(day.getTime() + DAY_MS)
+      if (!checkpoint.rolledUpThrough || checkpoint.rolledUpThrough < through) {
+        checkpoint.rolledUpThrough = through
+      }
+      checkpoint.purging = null
+      if (!(await saveProgress(state, checkpoint))) return
+    }
+  } finally {
+    await releaseLock(state)
+  }
+}
+
+// Raw measurements before this time have been replaced by rollups, null
+// when retention has not removed anything yet
+const rolledUpThrough = async () => {
+  const state = await JobState.findById(JOB).select('checkpoint').lean()
+  return (state && state.checkpoint && state.checkpoint.rolledUpThrough) || null
+}
+
+module.exports = {
+  applyRetention,
+  rolledUpThrough
+}
@@ -0,0 +1,46 @@
+const { logger } = require('./logger')
+
+// Runs background jobs on an interval. Each job runs at most once at a
+// time on this instance, jobs must be safe to run on several instances.
+const jobs = []
+
+const registerJob = (name, intervalMs, run) => {
+  jobs.push({ name, intervalMs, run, running: null, timer: null })
+}
+
+const runJob = async (job) => {
+  if (job.running) return
+  job.running = (async () => {
+    try {
+      await job.run()
+    } catch (error) {
+      logger.error('Error in background job', { job: job.name, err: error })
+    } finally {
+      job.running = null
+    }
+  })()
+  await job.running
+}
+
+const startScheduler = () => {
+  for (const job of jobs) {
+    if (!job.intervalMs || job.timer) continue
+    job.timer = setInterval(() => runJob(job), job.intervalMs)
+    job.timer.unref()
+  }
+}
+
+// Stop scheduling jobs. Resolves once the runs in progress have finished.
+const stopScheduler = async () => {
+  for (const job of jobs) {
+    clearInterval(job.timer)
+    job.timer = null
+  }
+  await Promise.all(jobs.map((job) => job.running))
+}
+
+module.exports = {
+  registerJob,
+  startScheduler,
+  stopScheduler
+}
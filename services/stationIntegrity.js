@@ -0,0 +1,105 @@
+const Station = require('../models/station')
+const Measurement = require('../models/measurement')
+const ApiKey = require('../models/apiKey')
+
+const DELETE_POLICIES = ['restrict', 'cascade', 'archive']
+
+// Resolves to the reason measurements cannot be stored for a station, or
+// null when they can
+const stationWriteError = async (stationId) => {
+  const station = await Station.findById(stationId).select('archivedAt status')
+  if (!station) return 'Station does not exist'
+  if (station.archivedAt) return 'Station is archived'
+  if (station.status === 'decommissioned') return 'Station is decommissioned'
+  return null
+}
+
+// Like stationWriteError for many stations at once. Resolves to a Map from
+// station ID to reason, stations that accept measurements are left out.
+const stationWriteErrors = async (stationIds) => {
+  const ids = [...new Set(stationIds.map(String))]
+  const stations = await Station.find({ _id: { $in: ids } }).select('archivedAt status')
+  const found = new Map(stations.map((station) => [String(station._id), station]))
+
+  const errors = new Map()
+  for (const id of ids) {
+    const station = found.get(id)
+    if (!station) errors.set(id, 'Station does not exist')
+    else if (station.archivedAt) errors.set(id, 'Station is archived')
+    else if (station.status === 'decommissioned') errors.set(id, 'Station is decommissioned')
+  }
+  return errors
+}
+
+// What each delete policy would do to a station's data
+const deletionImpact = async (station) => {
+  const [measurements, apiKeys] = await Promise.all([
+    Measurement.countDocuments({ station_id: station._id }),
+    ApiKey.countDocuments({ station_id: station._id, revokedAt: null }),
+  ])
+
+  return {
+    measurements,
+    apiKeys,
+    policies: {
+      restrict: { allowed: measurements === 0, measurementsDeleted: 0 },
+      cascade: { allowed: true, measurementsDeleted: measurements },
+      archive: { allowed: true, measurementsDeleted: 0, measurementsKept: measurements },
+    },
+  }
+}
+
+// Delete a station following one of DELETE_POLICIES:
+// - restrict: refuse while the station has measurements
+// - cascade: delete its measurements too
+// - archive: keep the station and its measurements, but hide it from lists
+//   and refuse new measurements
+// Deletes are soft, measurements deleted along with the station share its
+// deletedAt so restoreStation can bring them back. API keys of the station
+// are revoked in every case. Resolves to { deleted, archived,
+// measurementsDeleted }, or null when restrict refuses.
+const deleteStation = async (station, policy, userId) => {
+  if (policy === 'restrict') {
+    if (await Measurement.exists({ station_id: station._id })) return null
+  }
+
+  const now = new Date()
+  await ApiKey.updateMany({ station_id: station._id, revokedAt: null }, { revokedAt: now })
+
+  if (policy === 'archive') {
+    station.archivedAt = now
+    await station.save()
+    return { deleted: false, archived: true, measurementsDeleted: 0 }
+  }
+
+  let measurementsDeleted = 0
+  if (policy === 'cascade') {
+    const result = await Measurement.updateMany(
+      { station_id: station._id, deletedAt: null },
+      { deletedAt: now, deletedBy: userId, $inc: { version: 1 } }
+    )
+    measurementsDeleted = result.modifiedCount
+  }
+  await station.softDelete(userId, now)
+  return { deleted: true, archived: false, measurementsDeleted }
+}
+
+// Restore a soft deleted station together with the measurements deleted
+// with it. Resolves to the number of measurements restored.
+const restoreStation = async (station) => {
+  const result = await Measurement.updateMany(
+    { station_id: station._id, deletedAt: station.deletedAt },
+    { $unset: { deletedAt: 1, deletedBy: 1 }, $inc: { version: 1 } }
+  )
+  await station.restore()
+  return result.modifiedCount
+}
+
+module.exports = {
+  DELETE_POLICIES,
+  stationWriteError,
+  stationWriteErrors,
+  deletionImpact,
+  deleteStation,
+  restoreStation
+}
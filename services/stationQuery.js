@@ -0,0 +1,107 @@
+const { STATUSES } = require('../models/station')
+const { listParam, parseBoolean } = require('./measurementQuery')
+const { badRequest } = require('./errors')
+
+// Parse "a,b,c" into a fixed number of finite numbers
+const parseNumbers = (value, count, name) => {
+  const numbers = String(value).split(',').map((item) => Number(item.trim()))
+  if (numbers.length !== count || !numbers.every(Number.isFinite)) {
+    throw badRequest(`${name} must be ${count} comma separated numbers`)
+  }
+  return numbers
+}
+
+const checkCoordinates = (long, lat, name) => {
+  if (long < -180 || long > 180 || lat < -90 || lat > 90) {
+    throw badRequest(`${name} has coordinates out of range`)
+  }
+}
+
+// Polygon rings come as "long,lat;long,lat;..." and are closed automatically
+const parsePolygon = (value) => {
+  const ring = String(value).split(';').map((pair) => {
+    const [long, lat] = parseNumbers(pair, 2, 'polygon')
+    checkCoordinates(long, lat, 'polygon')
+    return [long, lat]
+  })
+
+  const [first] = ring
+  const last = ring[ring.length - 1]
+  if (first[0] !== last[0] || first[1] !== last[1]) ring.push(first)
+  if (ring.length < 4) {
+    throw badRequest('polygon needs at least 3 distinct points')
+  }
+  return { type: 'Polygon', coordinates: [ring] }
+}
+
+// Build the station filter from the GET /stations query parameters: name,
+// type, status, bbox, polygon, includeArchived. A near search is returned separately because it has
+// to run as a $geoNear aggregation to report distances.
+const buildStationFilter = (query) => {
+  const filter = {}
+  if (query.name) filter.name = query.name
+  if (query.type) filter.type = query.type
+  if (query.status) {
+    const statuses = listParam(query.status)
+    const unknown = statuses.find((status) => !STATUSES.includes(status))
+    if (unknown) throw badRequest(`Unknown status: ${unknown}`)
+    // Stations stored before statuses existed are active
+    filter.status = { $in: statuses.includes('active') ? [...statuses, null] : statuses }
+  }
+  if (!parseBoolean(query.includeArchived, 'includeArchived', false)) filter.archivedAt = null
+
+  if (query.bbox) {
+    const [minLong, minLat, maxLong, maxLat] = parseNumbers(query.bbox, 4, 'bbox')
+    checkCoordinates(minLong, minLat, 'bbox')
+    checkCoordinates(maxLong, maxLat, 'bbox')
+    if (minLat > maxLat) throw badRequest('bbox minLat must not be greater than maxLat')
+
+    filter.lat = { $gte: minLat, $lte: maxLat }
+    // A box crossing the antimeridian has minLong > maxLong
+    if (minLong <= maxLong) {
+      filter.long = { $gte: minLong, $lte: maxLong }
+    } else {
+      filter.$or = [{ long: { $gte: minLong } }, { long: { $lte: maxLong } }]
+    }
+  }
+
+  if (query.polygon) {
+    filter.location = { $geoWithin: { $geometry: parsePolygon(query.polygon) } }
+  }
+
+  let near = null
+  if (query.near) {
+    const [long, lat] = parseNumbers(query.near, 2, 'near')
+    checkCoordinates(long, lat, 'near')
+    near = { type: 'Point', coordinates: [long, lat] }
+
+    if (query.maxDistance !== undefined) {
+      near.maxDistance = Number(query.maxDistance)
+      if (!Number.isFinite(near.maxDistance) || near.maxDistance < 0) {
+        throw badRequest('maxDistance must be a positive number of meters')
+      }
+    }
+  } else if (query.maxDistance !== undefined) {
+    throw badRequest('maxDistance needs near')
+  }
+
+  return { filter, near }
+}
+
+// Aggregation pipeline for a near search, nearest first, with the distance
+// in meters as `distance`
+const nearPipeline = (filter, near) => {
+  const geoNear = {
+    near: { type: near.type, coordinates: near.coordinates },
+    distanceField: 'distance',
+    spherical: true,
+    query: filter,
+  }
+  if (near.maxDistance !== undefined) geoNear.maxDistance = near.maxDistance
+  return [{ $geoNear: geoNear }]
+}
+
+module.exports = {
+  buildStationFilter,
+  nearPipeline
+}
@@ -0,0 +1,171 @@
+// Checks values against the OpenAPI schemas in schemas/. Supports the parts
+// of the format the schemas use: type, nullable, enum, pattern, format
+// date-time, minimum/maximum, minLength/maxLength, minItems, items,
+// properties, required, readOnly and additionalProperties.
+//
+// Options:
+// - partial: required properties may be missing (PATCH bodies)
+// - coerce: values are query strings, numbers and booleans are parsed from
+//   them and repeated parameters are checked one by one
+
+const typeOf = (value) => {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+const coerceString = (schema, value) => {
+  if (typeof value !== 'string') return value
+  if (schema.type === 'number' || schema.type === 'integer') {
+    return value.trim() === '' ? value : Number(value)
+  }
+  if (schema.type === 'boolean') {
+    if (value === 'true') return true
+    if (value === 'false') return false
+  }
+  return value
+}
+
+const checkType = (schema, value) => {
+  switch (schema.type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number'
+    case 'integer':
+      return Number.isInteger(value) ? null : 'must be an integer'
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string'
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'must be true or false'
+    case 'array':
+      return Array.isArray(value) ? null : 'must be an array'
+    case 'object':
+      return typeOf(value) === 'object' ? null : 'must be an object'
+    default:
+      return null
+  }
+}
+
+const checkValue = (schema, value, field, options, errors) => {
+  if (options.coerce && Array.isArray(value) && schema.type !== 'array') {
+    return value.map((item) => checkValue(schema, item, field, options, errors))
+  }
+  if (options.coerce) value = coerceString(schema, value)
+
+  if (value === null && schema.nullable) return value
+
+  const typeError = checkType(schema, value)
+  if (typeError) {
+    errors.push({ field, message: typeError })
+    return value
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` })
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters` })
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters` })
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: schema['x-pattern-message'] || `must match ${schema.pattern}` })
+    }
+    if (schema.format === 'date-time' && Number.isNaN(new Date(value).getTime())) {
+      errors.push({ field, message: 'must be a valid date' })
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` })
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be at most ${schema.maximum}` })
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must have at least ${schema.minItems} items` })
+    }
+    if (schema.items) {
+      return value.map((item, i) => checkValue(schema.items, item, `${field}[${i}]`, options, errors))
+    }
+  }
+  if (schema.type === 'object' && schema.properties) {
+    return checkObject(schema, value, field, options, errors)
+  }
+  return value
+}
+
+// Read-only properties are dropped, unknown ones are rejected unless the
+// schema allows additionalProperties. Only own properties of the schema count,
+// and __proto__ is always rejected, it would replace the prototype of the
+// result.
+const checkObject = (schema, value, field, options, errors) => {
+  const prefix = field ? `${field}.` : ''
+  const result = {}
+
+  for (const [key, item] of Object.entries(value)) {
+    if (key === '__proto__') {
+      errors.push({ field: `${prefix}${key}`, message: 'is not allowed' })
+      continue
+    }
+    const property = Object.hasOwn(schema.properties, key) ? schema.properties[key] : undefined
+    if (!property) {
+      if (schema.additionalProperties) {
+        result[key] = item
+      } else {
+        errors.push({ field: `${prefix}${key}`, message: 'is not allowed' })
+      }
+      continue
+    }
+    if (property.readOnly || item === undefined) continue
+    result[key] = checkValue(property, item, `${prefix}${key}`, options, errors)
+  }
+
+  if (!options.partial) {
+    for (const key of schema.required || []) {
+      if (result[key] === undefined || result[key] === '') {
+        errors.push({ field: `${prefix}${key}`, message: 'is required' })
+      }
+    }
+  }
+  return result
+}
+
+// Check `value` against `schema`. Resolves to the cleaned value, without
+// read-only properties, and the list of { field, message } errors.
+const validateSchema = (schema, value, { field = '', partial = false, coerce = false } = {}) => {
+  const errors = []
+  const cleaned = checkValue(schema, value, field, { partial, coerce }, errors)
+  return { value: cleaned, errors }
+}
+
+// Schema of a PATCH body: the same properties, none of them required
+const partialSchema = (schema) => {
+  const { required, ...rest } = schema
+  return rest
+}
+
+// Field-level details of a Mongoose validation or cast error, null for any
+// other error
+const mongooseErrorDetails = (error, prefix = 'body') => {
+  const field = (path) => prefix ? `${prefix}.${path}` : path
+  if (error.name === 'ValidationError' && error.errors) {
+    return Object.entries(error.errors).map(([path, fieldError]) => ({
+      field: field(path),
+      message: fieldError.kind === 'required' ? 'is required' : fieldError.message,
+    }))
+  }
+  if (error.name === 'CastError') {
+    return [{ field: field(error.path), message: `must be a valid ${error.kind}` }]
+  }
+  return null
+}
+
+module.exports = {
+  validateSchema,
+  partialSchema,
+  mongooseErrorDetails
+}
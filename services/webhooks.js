@@ -0,0 +1,131 @@
+const crypto = require('crypto')
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const Alert = require('../models/alert')
+const { isReservedAddress, isAllowedHost, webhookUrlError } = require('../config/webhooks')
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000
+const RETRY_BASE_MS = 30000
+const LOCK_MS = 60000
+const MAX_PER_RUN = 100
+
+// Wait 30s, 1m, 2m, ... between attempts
+const retryDelay = (attempts) => RETRY_BASE_MS * 2 ** (attempts - 1)
+
+// Mark one due delivery as taken so other instances skip it. Resolves to
+// the alert and the claimed delivery, or null when nothing is due.
+const claimDelivery = async () => {
+  const now = new Date()
+  const lockedUntil = new Date(now.getTime() + LOCK_MS)
+  const lockToken = crypto.randomUUID()
+  const alert = await Alert.findOneAndUpdate(
+    {
+      deliveries: {
+        $elemMatch: {
+          status: 'pending',
+          nextAttemptAt: { $lte: now },
+          $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        }
+      }
+    },
+    { $set: { 'deliveries.$.lockedUntil': lockedUntil, 'deliveries.$.lockToken': lockToken } },
+    { new: true }
+  )
+  if (!alert) return null
+
+  const delivery = alert.deliveries.find((item) => item.lockToken === lockToken)
+  return delivery ? { alert, delivery } : null
+}
+
+// DNS lookup of webhook requests. Every resolved address is checked and the
+// socket connects to the address checked here, so a second resolution with
+// a short TTL cannot swap in an internal address. Addresses in the URL
+// itself skip the lookup, webhookUrlError() checks them.
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error)
+    const host = hostname.toLowerCase()
+    if (!isAllowedHost(host) && addresses.some(({ address }) => isReservedAddress(address))) {
+      return callback(new Error(`Webhook host resolves to a reserved address: ${host}`))
+    }
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+// POST `body` and resolve to the status code. Redirects are not followed,
+// they could lead to an address the lookup refuses.
+const post = (url, headers, body) => new Promise((resolve, reject) => {
+  const request = (url.protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: checkedLookup,
+    signal: AbortSignal.timeout(TIMEOUT_MS),
+  }, (response) => {
+    response.resume()
+    response.on('end', () => resolve(response.statusCode))
+    response.on('error', reject)
+  })
+  request.on('error', reject)
+  request.end(body)
+})
+
+const send = async (alert, delivery) => {
+  // Rules saved before a host was refused are checked again
+  const urlError = webhookUrlError(delivery.url)
+  if (urlError) throw new Error(urlError)
+
+  const { deliveries, ...payload } = alert.toJSON()
+  const body = JSON.stringify({ event: delivery.event, alert: payload })
+
+  const headers = { 'Content-Type': 'application/json' }
+  if (process.env.WEBHOOK_SECRET) {
+    const signature = crypto.createHmac('sha256', process.env.WEBHOOK_SECRET).update(body).digest('hex')
+    headers['X-Signature'] = `sha256=${signature}`
+  }
+
+  const status = await post(new URL(delivery.url), headers, body)
+  if (status < 200 || status >= 300) {
+    throw new Error(`Webhook responded with HTTP ${status}`)
+  }
+}
+
+const deliverOne = async (alert, delivery) => {
+  const attempts = delivery.attempts + 1
+  const update = {
+    'deliveries.$.attempts': attempts,
+    'deliveries.$.lockedUntil': null,
+    'deliveries.$.lockToken': null,
+  }
+
+  try {
+    await send(alert, delivery)
+    update['deliveries.$.status'] = 'delivered'
+    update['deliveries.$.deliveredAt'] = new Date()
+  } catch (error) {
+    update['deliveries.$.lastError'] = error.message
+    if (attempts >= MAX_ATTEMPTS) {
+      update['deliveries.$.status'] = 'failed'
+    } else {
+      update['deliveries.$.nextAttemptAt'] = new Date(Date.now() + retryDelay(attempts))
+    }
+  }
+
+  await Alert.updateOne({ _id: alert._id, 'deliveries._id': delivery._id }, { $set: update })
+}
+
+// Send every due webhook delivery, retrying failures later with backoff
+const deliverPending = async () => {
+  for (let i = 0; i < MAX_PER_RUN; i++) {
+    const claimed = await claimDelivery()
+    if (!claimed) return
+    await deliverOne(claimed.alert, claimed.delivery)
+  }
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  deliverPending
+}
@@ -1,4 +1,5 @@
 const swaggerJsdoc = require('swagger-jsdoc')
+const { components } = require('../schemas')
 
 const swaggerOptions = {
   definition: {
@@ -15,11 +16,38 @@ const swaggerOptions = {
       }
     ],
     components: {
+      // Shared with the request validation, the route files add the rest
+      schemas: components,
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          schema: { type: 'string', maxLength: 255 },
+          description: 'Unique key of the request, such as a UUID. A retry with the same key and body returns the stored response instead of storing the data again.'
+        },
+        IfMatch: {
+          in: 'header',
+          name: 'If-Match',
+          schema: { type: 'string' },
+          description: 'ETag from an earlier response. The request fails with 412 when the resource has changed since.'
+        },
+        IfNoneMatch: {
+          in: 'header',
+          name: 'If-None-Match',
+          schema: { type: 'string' },
+          description: 'ETag from an earlier response. Answered with 304 and no body when the resource has not changed.'
+        }
+      },
       securitySchemes: {
         bearerAuth: {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key'
         }
       }
     },
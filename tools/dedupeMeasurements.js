@@ -0,0 +1,55 @@
+const path = require('path')
+const dotenv = (process.env.DOTENV_PATH || path.resolve(__dirname, './.env'))
+require('dotenv').config({ path: dotenv })
+const mongoose = require('mongoose')
+
+// Removes duplicate readings, measurements of the same station and variable
+// at the same observedAt, so the unique index on them can be built. Keeps
+// one reading of each group, not deleted ones first, then the oldest.
+// Legacy readings without a variable or observedAt are not indexed and are
+// left alone.
+// Pass --dry-run to only count them:
+//   node tools/dedupeMeasurements.js --dry-run
+const dryRun = process.argv.includes('--dry-run')
+
+async function dedupeMeasurements() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI)
+    console.log('Connected to MongoDB')
+
+    const measurements = mongoose.connection.collection('measurements')
+    const groups = measurements.aggregate([
+      { $match: { variable: { $type: 'string' }, observedAt: { $type: 'date' } } },
+      { $sort: { deletedAt: 1, createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { station_id: '$station_id', variable: '$variable', observedAt: '$observedAt' },
+          ids: { $push: '$_id' },
+          count: { $sum: 1 },
+        }
+      },
+      { $match: { count: { $gt: 1 } } },
+    ], { allowDiskUse: true })
+
+    let duplicates = 0
+    let removed = 0
+    for await (const group of groups) {
+      const extra = group.ids.slice(1)
+      duplicates += extra.length
+      if (!dryRun) {
+        const result = await measurements.deleteMany({ _id: { $in: extra } })
+        removed += result.deletedCount
+      }
+    }
+
+    console.log(dryRun
+      ? `Found ${duplicates} duplicate measurements`
+      : `Removed ${removed} duplicate measurements`)
+    process.exit(0)
+  } catch (error) {
+    console.error('Error removing duplicate measurements:', error)
+    process.exit(1)
+  }
+}
+
+dedupeMeasurements()
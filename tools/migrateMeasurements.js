@@ -0,0 +1,46 @@
+const path = require('path')
+const dotenv = (process.env.DOTENV_PATH || path.resolve(__dirname, './.env'))
+require('dotenv').config({ path: dotenv })
+const mongoose = require('mongoose')
+const { isVariable, unitFor } = require('../config/variables')
+
+// Backfills measurements stored before observedAt, variable and unit existed.
+// observedAt is copied from createdAt. Rows without a variable are only
+// labelled when one is given, e.g.:
+//   node tools/migrateMeasurements.js temperature
+const variable = process.argv[2]
+
+async function migrateMeasurements() {
+  try {
+    if (variable && !isVariable(variable)) {
+      console.error(`Unknown variable: ${variable}`)
+      process.exit(1)
+    }
+
+    await mongoose.connect(process.env.MONGO_URI)
+    console.log('Connected to MongoDB')
+
+    const measurements = mongoose.connection.collection('measurements')
+
+    const observed = await measurements.updateMany(
+      { observedAt: { $exists: false } },
+      [{ $set: { observedAt: '$createdAt' } }]
+    )
+    console.log(`Set observedAt on ${observed.modifiedCount} measurements`)
+
+    if (variable) {
+      const labelled = await measurements.updateMany(
+        { variable: { $exists: false } },
+        { $set: { variable, unit: unitFor(variable) } }
+      )
+      console.log(`Labelled ${labelled.modifiedCount} measurements as ${variable}`)
+    }
+
+    process.exit(0)
+  } catch (error) {
+    console.error('Error migrating measurements:', error)
+    process.exit(1)
+  }
+}
+
+migrateMeasurements()
@@ -0,0 +1,31 @@
+const path = require('path')
+const dotenv = (process.env.DOTENV_PATH || path.resolve(__dirname, './.env'))
+require('dotenv').config({ path: dotenv })
+const mongoose = require('mongoose')
+const Station = require('../models/station')
+
+// Backfills the GeoJSON location of stations stored before it existed and
+// builds the 2dsphere index geo queries need:
+//   node tools/migrateStations.js
+async function migrateStations() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI)
+    console.log('Connected to MongoDB')
+
+    const result = await Station.collection.updateMany(
+      { location: { $exists: false } },
+      [{ $set: { location: { type: 'Point', coordinates: [{ $toDouble: '$long' }, { $toDouble: '$lat' }] } } }]
+    )
+    console.log(`Set location on ${result.modifiedCount} stations`)
+
+    await Station.syncIndexes()
+    console.log('Station indexes are up to date')
+
+    process.exit(0)
+  } catch (error) {
+    console.error('Error migrating stations:', error)
+    process.exit(1)
+  }
+}
+
+migrateStations()
@@ -23,6 +23,10 @@ const stationSchema = new mongoose.Schema(
     name: { type: String, required: true },
     long: { type: Number, required: true },
     lat: { type: Number, required: true },
+    location: {
+      type: { type: String, enum: ['Point'], default: 'Point' },
+      coordinates: { type: [Number] },
+    },
     type: { type: String, required: true },
     code: { type: String, required: true, unique: true },
   },
@@ -33,6 +37,9 @@ const measurementSchema = new mongoose.Schema(
   {
     value: { type: Number, required: true },
     station_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Station', required: true },
+    variable: { type: String, required: true },
+    unit: { type: String, required: true },
+    observedAt: { type: Date, required: true },
   },
   { timestamps: true, versionKey: false }
 );
@@ -52,10 +59,13 @@ async function seedData() {
     const stationsData = [];
 
     for (let i = 0; i < stationCount; i++) {
+      const long = parseFloat((Math.random() * 360 - 180).toFixed(4)); // random longitude
+      const lat = parseFloat((Math.random() * 180 - 90).toFixed(4));   // random latitude
       stationsData.push({
         name: `Station ${i + 1}`,
-        long: (Math.random() * 360 - 180).toFixed(4), // random longitude
-        lat: (Math.random() * 180 - 90).toFixed(4),   // random latitude
+        long,
+        lat,
+        location: { type: 'Point', coordinates: [long, lat] },
         type: Math.random() < 0.5 ? 'automatic' : 'manual',
         code: `STATION_CODE_${i + 1}`,
       });
@@ -68,11 +78,22 @@ async function seedData() {
     const measurementCountPerStation = Math.floor(Math.random() * 1000) + 1;
     let measurementsData = [];
 
+    // One reading every 10 minutes, going back from now
+    const now = Date.now();
+    const variables = [
+      { variable: 'temperature', unit: '°C' },
+      { variable: 'humidity', unit: '%' },
+    ];
+
     for (let station of stations) {
       for (let i = 0; i < measurementCountPerStation; i++) {
+        const { variable, unit } = variables[i % variables.length];
         measurementsData.push({
           value: parseFloat((Math.random() * 100).toFixed(2)), // random value, up to 2 decimals
           station_id: station._id,
+          variable,
+          unit,
+          observedAt: new Date(now - Math.floor(i / variables.length) * 10 * 60 * 1000),
         });
       }
     }